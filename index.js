@@ -1,7 +1,8 @@
 import { parse as parseIdl } from "./src/cli/parse-webidl.js";
-import { crawlSpecs } from "./src/lib/specs-crawler.js";
+import { crawlSpecs, extractFromHtml } from "./src/lib/specs-crawler.js";
 import { expandCrawlResult } from "./src/lib/util.js";
 import { mergeCrawlResults } from "./src/cli/merge-crawl-results.js";
+import { diffCrawls } from "./src/cli/diff-crawls.js";
 import { isLatestLevelThatPasses } from "./src/lib/util.js";
 import { getInterfaceTreeInfo } from "./src/lib/util.js";
 import { getSchemaValidationFunction } from "./src/lib/util.js";
@@ -10,8 +11,10 @@ import postProcessor from "./src/lib/post-processor.js";
 export {
   parseIdl,
   crawlSpecs,
+  extractFromHtml,
   expandCrawlResult,
   mergeCrawlResults,
+  diffCrawls,
   isLatestLevelThatPasses,
   getInterfaceTreeInfo,
   getSchemaValidationFunction,
@@ -21,8 +24,10 @@ export {
 export default {
   parseIdl,
   crawlSpecs,
+  extractFromHtml,
   expandCrawlResult,
   mergeCrawlResults,
+  diffCrawls,
   isLatestLevelThatPasses,
   getInterfaceTreeInfo,
   getSchemaValidationFunction,
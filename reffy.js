@@ -26,8 +26,12 @@ import satisfies from 'semver/functions/satisfies.js';
 import specs from 'web-specs' with { type: 'json' };
 import packageConfig from './package.json' with { type: 'json' };
 import { crawlSpecs } from './src/lib/specs-crawler.js';
+import { diffCrawls } from './src/cli/diff-crawls.js';
+import { watchSpec } from './src/cli/watch-spec.js';
+import { generateDiffReport } from './src/lib/markdown-report.js';
 import postProcessor from './src/lib/post-processor.js';
 import { loadJSON } from './src/lib/util.js';
+import { loadProjectConfig, mergeCrawlOptions } from './src/lib/project-config.js';
 
 // Warn if version of Node.js does not satisfy requirements
 if (packageConfig.engines && packageConfig.engines.node &&
@@ -67,6 +71,25 @@ async function parseSpecOption(input) {
     }
 }
 
+function parseSleepOption(input) {
+    const [origin, interval] = splitKeyValue(input, '--sleep');
+    return { [origin]: Number(interval) };
+}
+
+function parseOriginAliasOption(input) {
+    const [alias, patterns] = splitKeyValue(input, '--origin-alias');
+    return { [alias]: patterns.split(',').map(pattern => pattern.trim()) };
+}
+
+function splitKeyValue(input, optionName) {
+    const pos = input.indexOf('=');
+    if (pos <= 0 || pos === input.length - 1) {
+        console.error(`The ${optionName} option expects values of the form "key=value", got "${input}"`);
+        process.exit(2);
+    }
+    return [input.substring(0, pos), input.substring(pos + 1)];
+}
+
 function parsePostOption(input) {
     if (input === 'core') {
       return postProcessor.modules;
@@ -79,26 +102,59 @@ function parsePostOption(input) {
 
 const program = new Command();
 program
+    // Subcommands define options that the main command also defines (e.g.
+    // --markdown, --module). Options that follow a subcommand belong to it.
+    .enablePositionalOptions()
     .version(packageConfig.version)
     .usage('[options]')
     .description('Crawls and processes a list of Web specifications')
+    .option('--both-versions', 'crawl both the nightly and release (TR) versions of specs')
+    .option('-c, --config <file>', 'project configuration file (default: reffy.config.json or reffy.config.mjs)')
     .option('-d, --debug', 'debug mode, crawl one spec at a time')
     .option('-f, --fallback <json>', 'fallback data to use when a spec crawl fails')
+    .option('--filter <conditions...>', 'only crawl specs whose metadata match conditions, e.g. "organization=WHATWG"')
+    .option('--from-snapshots <folder>', 'extract from DOM snapshots saved in given crawl result folder')
+    .option('--isolation <mode>', 'crawl specs in isolated browser "context" (default) or "process"')
     .option('--md, --markdown', 'output a Markdown report')
     .option('-m, --module <modules...>', 'spec processing modules')
+    .option('--max-memory <MB>', 'memory threshold above which browsers get restarted')
+    .option('--max-parallel <number>', 'maximum number of specs to crawl in parallel')
+    .option('--metrics', 'measure crawl performance per spec and per module')
+    .option('--ndjson', 'output one JSON line per spec as soon as it is crawled')
     .option('-o, --output <folder>', 'existing folder/file where crawl results are to be saved')
+    .option('--output-db <file>', 'SQLite database file where crawl results are to be saved')
+    .option('--origin-alias <rules...>', 'origin aliasing rules, e.g. "https://example.org=*.example.org"')
     .option('-p, --post <modules...>', 'post-processing modules')
     .option('-q, --quiet', 'do not report progress and other warnings to the console')
+    .option('--record <archive>', 'record network requests and responses to the given archive file')
+    .option('--recycle-after <number>', 'number of specs after which browsers get restarted')
     .option('-r, --release', 'crawl release (TR) version of specs')
+    .option('--replay <archive>', 'replay network requests from the given archive file')
+    .option('--resume', 'resume an interrupted crawl in the output folder')
+    .option('--retries <number>', 'number of times to retry a spec crawl on transient errors')
+    .option('--retry-delay <ms>', 'delay before the first retry, doubled for each subsequent retry')
+    .option('--retry-on <codes...>', 'codes of errors that may be retried')
+    .option('--save-snapshots', 'save the generated DOM of each spec to the output folder')
     .option('-s, --spec <specs...>', 'specs to crawl')
+    .option('--sleep <intervals...>', 'sleep intervals per origin in ms, e.g. "https://example.org=500"')
     .option('--summary', 'include a crawl summary in Markdown for each spec')
     .option('-t, --terse', 'output crawl results without metadata')
     .option('-u, --use-crawl <folder>', 'use given crawl result folder as input for post-processing')
+    .option('--validate [mode]', 'validate extracts against JSON schemas, "warn" (default) or "fail"')
     .action(async options => {
-        if (!(options.output || options.module || options.spec || options.useCrawl)) {
+        let projectConfig = null;
+        try {
+            projectConfig = await loadProjectConfig(options.config);
+        }
+        catch (err) {
+            console.error(err.message);
+            process.exit(2);
+        }
+        if (!(projectConfig || options.output || options.outputDb || options.module || options.spec || options.filter || options.useCrawl)) {
           console.error(`
-At least one of the --output, --module, --spec or --use-crawl options needs to be
-specified. For usage notes, run:
+At least one of the --output, --output-db, --module, --spec, --filter or --use-crawl
+options needs to be specified, or a reffy.config.json project configuration file
+needs to exist in the current folder. For usage notes, run:
   reffy --help
 
 If you really want to crawl all specs, run all processing modules and report the
@@ -108,16 +164,27 @@ will dump ~100MB of data to the console:
 `);
           process.exit(2);
         }
-        const crawlOptions = {
+        let crawlOptions = {
+            bothVersions: options.bothVersions,
             debug: options.debug,
             fallback: options.fallback,
+            filter: options.filter,
+            fromSnapshots: options.fromSnapshots,
             markdown: options.markdown,
+            metrics: options.metrics,
+            ndjson: options.ndjson,
             output: options.output,
+            outputDb: options.outputDb,
             publishedVersion: options.release,
             quiet: options.quiet,
+            record: options.record,
+            replay: options.replay,
+            resume: options.resume,
+            saveSnapshots: options.saveSnapshots,
             summary: options.summary,
             terse: options.terse,
-            useCrawl: options.useCrawl
+            useCrawl: options.useCrawl,
+            validate: options.validate
         };
         if (options.module) {
             crawlOptions.modules = options.module.map(parseModuleOption);
@@ -125,13 +192,86 @@ will dump ~100MB of data to the console:
         if (options.spec) {
             crawlOptions.specs = (await Promise.all(options.spec.map(parseSpecOption))).flat();
         }
-        else {
-            crawlOptions.specs = await parseSpecOption('all');
-        }
         if (options.post) {
             crawlOptions.post = options.post.map(parsePostOption).flat();
         }
+        if (options.maxParallel) {
+            crawlOptions.maxParallel = Number(options.maxParallel);
+        }
+        if (options.sleep) {
+            crawlOptions.sleepIntervals = Object.assign({},
+                ...options.sleep.map(parseSleepOption));
+        }
+        if (options.retries || options.retryDelay || options.retryOn) {
+            crawlOptions.retry = {};
+            if (options.retries) {
+                crawlOptions.retry.count = Number(options.retries);
+            }
+            if (options.retryDelay) {
+                crawlOptions.retry.delay = Number(options.retryDelay);
+            }
+            if (options.retryOn) {
+                crawlOptions.retry.on = options.retryOn;
+            }
+        }
+        if (options.isolation || options.recycleAfter || options.maxMemory) {
+            crawlOptions.browserPool = {};
+            if (options.isolation) {
+                crawlOptions.browserPool.isolation = options.isolation;
+            }
+            if (options.recycleAfter) {
+                crawlOptions.browserPool.maxSpecs = Number(options.recycleAfter);
+            }
+            if (options.maxMemory) {
+                crawlOptions.browserPool.maxMemory = Number(options.maxMemory);
+            }
+        }
+        if (options.originAlias) {
+            crawlOptions.originAliases = Object.assign({},
+                ...options.originAlias.map(parseOriginAliasOption));
+        }
+
+        // Command-line options take precedence over settings in the project
+        // configuration file
+        crawlOptions = mergeCrawlOptions(projectConfig?.settings, crawlOptions);
+        if (!crawlOptions.specs) {
+            // Filters on the standing of specs apply to all known specs,
+            // including discontinued ones
+            crawlOptions.specs = crawlOptions.filter?.some(filter => filter.match(/^\s*standing\s*!?=/)) ?
+                specs.map(s => s.shortname) :
+                await parseSpecOption('all');
+        }
 
+        if (crawlOptions.record && crawlOptions.replay) {
+            console.error('The --record option cannot be combined with the --replay option');
+            process.exit(2);
+        }
+        if (crawlOptions.saveSnapshots && !crawlOptions.output) {
+            console.error('The --save-snapshots option can only be set when the --output option is set');
+            process.exit(2);
+        }
+        if (crawlOptions.fromSnapshots && crawlOptions.useCrawl) {
+            console.error('The --from-snapshots option cannot be combined with the --use-crawl option');
+            process.exit(2);
+        }
+        if (crawlOptions.resume && !crawlOptions.output) {
+            console.error('The --resume option can only be set when the --output option is set');
+            process.exit(2);
+        }
+        if (crawlOptions.ndjson && (crawlOptions.output || crawlOptions.terse || crawlOptions.markdown)) {
+            console.error('The --ndjson option cannot be combined with the --output, --terse or --markdown options');
+            process.exit(2);
+        }
+        if (crawlOptions.bothVersions && (crawlOptions.publishedVersion ||
+                crawlOptions.useCrawl || crawlOptions.fromSnapshots ||
+                crawlOptions.fallback || crawlOptions.markdown || crawlOptions.terse)) {
+            console.error('The --both-versions option cannot be combined with the --release, --use-crawl, --from-snapshots, --fallback, --markdown or --terse options');
+            process.exit(2);
+        }
+        if (![undefined, true, 'warn', 'fail'].includes(crawlOptions.validate)) {
+            console.error('The --validate option must be either "warn" or "fail"');
+            process.exit(2);
+        }
         if (crawlOptions.terse && crawlOptions.output) {
             console.error('The --terse option cannot be combined with the --output option');
             process.exit(2);
@@ -140,9 +280,19 @@ will dump ~100MB of data to the console:
             console.error('The --terse option can only be set when only one core processing module runs');
             process.exit(2);
         }
+
+        // Stop the crawl cleanly on first Ctrl+C, leaving the journal around
+        // so that the crawl may be resumed. A second Ctrl+C kills the process.
+        const controller = new AbortController();
+        crawlOptions.signal = controller.signal;
+        process.once('SIGINT', () => {
+            console.warn('Cancelling crawl, press Ctrl+C again to exit right away');
+            controller.abort();
+        });
+
         crawlSpecs(crawlOptions)
             .then(_ => {
-                process.exit(0);
+                process.exit(controller.signal.aborted ? 130 : 0);
             })
             .catch(err => {
                 console.error(err);
@@ -171,6 +321,52 @@ Description:
   strongly recommended.
 
 Usage notes for some of the options:
+--both-versions
+  Crawl both the nightly version (the editor's draft) and the published
+  version of each spec in a single run. Specs that do not have a published
+  version are only crawled once.
+
+  Crawl results of each version are stored side by side in "ed" and "tr"
+  properties of each spec entry in the index. When results are saved to an
+  output folder, extracts of each version are saved in "ed" and "tr"
+  subfolders, and links to extracts are relative to these subfolders. For
+  instance:
+    $ reffy -o reports/test -s css-color-4 --both-versions
+
+  When both versions could be crawled, a "lag" property reports how far the
+  published version lags behind the editor's draft: the number of
+  definitions, IDL names and members, and CSS properties, at-rules and
+  selectors that the editor's draft adds, removes or modifies compared to the
+  published version.
+
+  The option cannot be combined with --release, --use-crawl, --from-snapshots,
+  --fallback, --markdown or --terse, nor with post-processing modules that run
+  at the crawl level.
+
+-c, --config <file>
+  Project configuration file that defines crawl settings, typically checked in
+  to make crawls reproducible. When the option is not set, the crawler looks
+  for a "reffy.config.json" or "reffy.config.mjs" file in the current folder.
+
+  Settings use the names of the options of the crawlSpecs function, e.g.
+  "specs", "modules", "post", "output", "fallback", "maxParallel",
+  "sleepIntervals", "retry" or "browserPool". Relative paths are relative to
+  the folder that contains the configuration file. A ".mjs" file must export
+  the settings object (or a function that returns it) as default export. For
+  instance, given a "reffy.config.json" file that contains:
+    {
+      "specs": ["fetch", "xhr"],
+      "modules": ["dfns", "idl"],
+      "post": ["idlparsed"],
+      "output": "reports/test"
+    }
+
+  Running "reffy" crawls Fetch and XHR and saves the results to the
+  "reports/test" folder. Command-line options take precedence over settings
+  in the configuration file.
+
+  Settings are validated against the "schemas/files/project-config.json" schema.
+
 -f, --fallback <jsondata>
   Provides an existing JSON crawl data file to use as a source of fallback data
   for specs that fail to be crawled.
@@ -179,7 +375,45 @@ Usage notes for some of the options:
   to make sure that extracts it may link to actually exist and match the ones
   that the crawl would produce in the absence of errors (e.g. same modules).
 
-  The "error" property is set on specs for which fallback data was used.
+  The "error" property is set on specs for which fallback data was used, with
+  a "fallback" flag set to true.
+
+--filter <conditions...>
+  Only crawl specs whose metadata in browser-specs match all the conditions.
+  A condition takes the form "[key]=[values]" or "[key]!=[values]" where [key]
+  is a property of browser-specs entries, possibly a dotted path such as
+  "nightly.status", and [values] is a comma-separated list of values. Matching
+  is case-insensitive. The condition matches when one of the values of the
+  property, or one of the items if the property is a list, is in [values]. The
+  "!=" form matches when that is not the case. Use "group" to match group names
+  and "category" to match categories. Conditions apply to the specs given with
+  --spec, or to all specs that are not discontinued (all specs if a condition
+  is on "standing"). For instance:
+    $ reffy -o reports/test --filter organization=WHATWG
+    $ reffy -o reports/test --filter "group=CSS Working Group" seriesComposition!=delta
+    $ reffy -o reports/test --filter standing=good,pending category=browser
+
+  See https://github.com/w3c/browser-specs/ for the list of properties.
+
+--from-snapshots <folder>
+  Load the DOM snapshots saved with --save-snapshots in the given crawl result
+  folder instead of crawling the specs, and run processing modules against
+  them. Snapshots are loaded without sending any network request and without
+  running ReSpec or any other script, which makes it possible to iterate on a
+  processing module against the whole corpus in minutes:
+    $ reffy -o reports/test --save-snapshots
+    $ reffy -o reports/new --from-snapshots reports/test -m mymodule.mjs
+
+  Specs for which the crawl result folder does not contain any snapshot are
+  reported with an error.
+
+--isolation <mode>
+  The crawler loads specs in a pool of browsers, with one slot per spec crawled
+  in parallel (see --max-parallel). Set the mode to "context" (default) to
+  crawl specs in isolated browser contexts of a single browser process, or to
+  "process" to crawl specs in separate browser processes. Separate processes
+  use more memory but a crash only affects the spec being crawled. When a
+  browser crashes, the crawler restarts it and crawls the spec again.
 
 --md, --markdown
   Output a crawl summary in Markdown instead of a JSON report. The option takes
@@ -224,6 +458,44 @@ Usage notes for some of the options:
   ":". For instance, to save extracts to "reports/test/editors", use:
     $ reffy --output reports/test --module editors:extract-editors.mjs
 
+--max-memory <MB>
+  Memory threshold in MB above which the crawler restarts a browser process,
+  including the processes it spawned, once it is done with the spec being
+  crawled. Memory usage can only be measured on Linux. For instance:
+    $ reffy -o reports/test --isolation process --max-memory 2000
+
+--max-parallel <number>
+  Maximum number of specs that the crawler crawls in parallel. Defaults to 4.
+  The crawler never crawls more than one spec at a time on a given origin (see
+  --origin-alias) in any case.
+
+--metrics
+  Measure where crawl time goes. When set, each spec entry in the crawl results
+  gets a "metrics" property with the time in milliseconds spent fetching the
+  spec ("fetch"), loading the page and its subpages ("load"), waiting for the
+  generation of the spec, e.g. by ReSpec ("generation"), running processing
+  modules ("extraction", and per module in "modules") and post-processing
+  modules that run at the spec level ("post"), along with the total crawl time
+  of the spec ("total"). The number of network requests the spec triggered
+  ("requests") and the number of bytes they transferred ("bytes") are also
+  reported. The sum of these metrics over all specs is reported in a
+  "metrics" property of the crawl stats, along with the time spent in
+  post-processing modules that run at the crawl level. For instance:
+    $ reffy -o reports/test --metrics
+
+--ndjson
+  Write crawl results to the console as newline-delimited JSON, with one line
+  per spec written as soon as the spec has been crawled. Lines appear in the
+  order in which specs finish crawling, not in the order of the list of specs.
+  Results of post-processing modules that run at the crawl level follow, one
+  line per module, as objects with "mod" and "result" properties. Memory usage
+  does not grow with the number of specs unless such a module runs. For
+  instance:
+    $ reffy --spec all --module dfns --ndjson | jq -c "{url, dfns: (.dfns | length)}"
+
+  The option cannot be combined with the --output, --terse or --markdown
+  options.
+
 -o, --output <folder>
   By default, crawl results are written to the console as a serialized JSON
   array with one entry per spec, and module processing results attached as
@@ -239,6 +511,35 @@ Usage notes for some of the options:
 
   The folder targeted by <folder> must exist.
 
+--output-db <file>
+  Save crawl results to an SQLite database, to query them with SQL. The JSON
+  dump of crawl results is not written to the console when the option is set.
+  The database gets replaced if it already exists. It contains a "specs" table
+  and tables for definitions ("dfns", "dfn_texts", "dfn_for"), links, refs,
+  IDL names and members ("idl_names", "idl_members", "idl_exposed"), CSS
+  constructs ("css"), events ("events", "event_targets"), elements and
+  headings. IDL tables are only filled when the "idlparsed" post-processing
+  module runs. For instance:
+    $ reffy -o reports/test -p idlparsed --output-db reports/test/crawl.sqlite
+
+  The option may also be used to export the results of a previous crawl:
+    $ reffy -u reports/test --output-db crawl.sqlite
+
+--origin-alias <rules...>
+  The crawler crawls specs served by the same origin one after the other, and
+  sleeps a bit in between (see --sleep). Origin aliasing rules make it possible
+  to treat multiple hosts as one origin, e.g. when they are served by the same
+  server. A rule takes the form "[origin]=[patterns]" where [patterns] is a
+  comma-separated list of host names. A pattern that starts with "*." matches
+  all subdomains of the domain that follows. For instance:
+    $ reffy -o reports/test --origin-alias "https://example.org=*.example.org,example.net"
+
+  Rules are merged with the default rules, which map all subdomains of
+  whatwg.org to "https://whatwg.org", all subdomains of github.io to
+  "https://github.io", and all subdomains of csswg.org, css-houdini.org and
+  fxtf.org to "https://csswg.org". Custom rules take precedence over default
+  rules for hosts that both match, e.g. "https://staging=staging.github.io".
+
 -p, --post <modules...>
   Post-processing modules either run after a spec is done crawling or after the
   entire crawl is over. They allow developers to complete data based on other
@@ -266,12 +567,94 @@ Usage notes for some of the options:
     $ reffy -o reports/test -p cssdfns cssidl events
     $ reffy -o reports/test -p events -p idlparsed -p idlnames
 
+--record <archive>
+  Record all network requests that the crawler sends, including requests for
+  spec pages, subpages, scripts and xref lookups, along with their responses,
+  to the given archive file. The archive is a newline-delimited JSON file
+  where each line is an entry in the HTTP Archive (HAR) format. Entries are
+  written as soon as responses are received. The archive can be replayed later
+  on with --replay. For instance:
+    $ reffy -o reports/test -s fetch --record fetch.har.jsonl
+
+  The option cannot be combined with --replay.
+
+--recycle-after <number>
+  Number of specs after which the crawler closes the browser context or
+  process and creates a new one, to avoid accumulating memory during long
+  crawls. Browsers are never recycled by default. For instance:
+    $ reffy -o reports/test --recycle-after 50
+
 -r, --release
   The crawler defaults to crawling the nightly version of requested specs.
   Set this flag to tell the crawler to crawl the published version of the specs
   instead. When the flag is set, the crawler will ignore specs that do not have
   a published version.
 
+--replay <archive>
+  Serve all network requests from the given archive file, recorded with
+  --record, instead of sending them over the network. Requests that are not
+  in the archive fail. This makes it possible to reproduce a crawl without
+  network access:
+    $ reffy -o reports/test -s fetch --replay fetch.har.jsonl
+
+  Requests are matched on their method, URL and body. The archive serves one
+  response per request, the last one recorded.
+
+--resume
+  While it crawls specs, the crawler appends spec crawl results to a
+  "crawl-journal.jsonl" file in the output folder, and deletes that journal
+  once the final index.json file has been written. If the crawl gets
+  interrupted (e.g., because the process runs out of memory), set this flag and
+  run the same command again to resume the crawl: specs already recorded in the
+  journal are not crawled again and the final index is rebuilt from the journal
+  and from the results of crawling the remaining specs. Specs that could not be
+  crawled, or for which the crawler used fallback data, are crawled again.
+  For instance:
+    $ reffy --output reports/test --spec all --resume
+
+  Pressing Ctrl+C once during a crawl cancels the crawl: the crawler finishes
+  with the specs it already crawled, writes an index flagged as "incomplete"
+  and keeps the journal, so that the crawl may be resumed afterwards.
+
+  The option can only be set when the --output option is set.
+
+--retries <number>
+  Number of times the crawler retries crawling a spec when it hits a transient
+  error. Retries are disabled by default. Retryable errors are network errors,
+  HTTP errors with status 429, 500, 502, 503 or 504, ReSpec generation timeouts
+  and CSS drafts server issues. For instance:
+    $ reffy -o reports/test --retries 3
+
+  The crawler waits for 1000ms before the first retry, and doubles that delay
+  for each subsequent retry (see --retry-delay). When the server responds with
+  a 429 or 503 status and a "Retry-After" header, the crawler honors that
+  header instead. The crawler does not retry the spec if it would need to wait
+  for more than 2 minutes, including when the "Retry-After" header asks for
+  a longer delay: the error gets reported as is in that case.
+
+  When a crawl gets retried, the history of failed attempts is recorded in an
+  "attempts" property in the spec crawl result.
+
+--retry-delay <ms>
+  Delay in milliseconds before the first retry (see --retries). Default is
+  1000ms.
+
+--retry-on <codes...>
+  Codes of errors that the crawler may retry (see --retries). Possible
+  values are "network-error", "http-error", "respec-timeout" and
+  "css-server-issue". All these codes are retryable by default. For instance, to
+  only retry network errors:
+    $ reffy -o reports/test --retries 3 --retry-on network-error
+
+--save-snapshots
+  Save the DOM of each spec, once generated and once subpages of multi-page
+  specs have been merged, to an HTML file in a "snapshots" subfolder of the
+  output folder. Scripts are removed from the snapshots. The "snapshot"
+  property of the spec crawl result links to the snapshot. Snapshots can be
+  loaded afterwards with --from-snapshots.
+
+  The option can only be set when the --output option is set.
+
 -s, --spec <specs...>
   If specs to crawl are not specified, all specs in browser-specs that are not
   identified as being discontinued get crawled:
@@ -294,6 +677,21 @@ Usage notes for some of the options:
   spec, run:
     $ reffy -o reports/test -s all DOM-Level-2-Style
 
+--sleep <intervals...>
+  Time in milliseconds that the crawler waits once it has crawled a spec
+  before it crawls the next spec on the same origin. Intervals take the form
+  "[origin]=[ms]", where [origin] may also be "default" to set the interval for
+  origins that do not have a specific interval. For instance:
+    $ reffy -o reports/test --sleep https://staging.example.org=0 default=500
+
+  Intervals are merged with the default ones: 2000ms for "https://csswg.org",
+  1000ms for "https://www.w3.org", 100ms by default.
+
+  The --max-parallel, --origin-alias and --sleep settings may also be defined
+  in the project configuration file (see --config), under "maxParallel",
+  "originAliases" and "sleepIntervals" keys, along with browser pool settings
+  under a "browserPool" key. Command-line options take precedence.
+
 --summary
   Tells Reffy to attach a Markdown summary of the crawl per spec to the JSON
   report, in a \`crawlSummary\` property. The Markdown report is suitable for
@@ -319,6 +717,106 @@ Usage notes for some of the options:
 
   If post-processing modules are not specified, Reffy will merely copy the crawl
   results to the output folder (or to the console).
+
+--validate [mode]
+  Validate extracts against the JSON schemas in the "schemas" folder as they
+  get produced, to catch regressions in processing modules at crawl time.
+  Schema violations get reported in a "validationWarnings" property of the spec
+  entry in the crawl results, as a list of objects with the "module" and
+  "property" that produced the extract, the "path" of the offending value in
+  the extract and a "message". The total number of violations appears in the
+  "validationWarnings" property of the crawl stats. Results of post-processing
+  modules that run at the crawl level and create a single extract, such as
+  "events", get validated too.
+
+  The mode is either "warn" (default), which merely reports violations, or
+  "fail", which makes the crawl exit with an error code when there are
+  violations, once results have been saved. Extracts of custom modules and
+  extracts that do not have a schema are not validated. For instance:
+    $ reffy -o reports/test --validate fail
+
+Commands:
+  diff <old> <new>
+    Compares two crawl result folders and reports what changed per spec. Run
+    "reffy diff --help" for details.
+
+  watch <file>
+    Crawls a local spec file each time it changes and reports changes in
+    definitions, IDL and CSS. Run "reffy watch --help" for details.
+`);
+
+program
+    .command('diff')
+    .description('Compares two crawl results and reports changes per spec')
+    .argument('<old>', 'folder that contains the reference crawl results')
+    .argument('<new>', 'folder that contains the new crawl results')
+    .option('--md, --markdown', 'output a Markdown report')
+    .action(async (oldFolder, newFolder, options) => {
+        diffCrawls(oldFolder, newFolder)
+            .then(diff => {
+                console.log(options.markdown ?
+                    generateDiffReport(diff) :
+                    JSON.stringify(diff, null, 2));
+                process.exit(0);
+            })
+            .catch(err => {
+                console.error(err);
+                process.exit(1);
+            });
+    })
+    .addHelpText('after', `
+Description:
+  Loads the index.json files of the two crawl result folders along with the
+  extracts they link to, and reports, per spec, the terms, Web IDL names and
+  members, CSS properties, at-rules and selectors, events, elements, headings
+  and references that were added, removed or modified in the new crawl.
+
+  The report also lists specs that were added to or removed from the crawl.
+
+  Crawl diff is written to the console as serialized JSON by default. Set the
+  --markdown option to get a Markdown report instead. For instance:
+    $ reffy diff reports/yesterday reports/today --markdown
+`);
+
+program
+    .command('watch')
+    .description('Crawls a local spec file each time it changes and reports changes')
+    .argument('<file>', 'local HTML file of the spec')
+    .option('-m, --module <modules...>', 'spec processing modules')
+    .option('-p, --post <modules...>', 'post-processing modules')
+    .action(async (file, options) => {
+        try {
+            const watcher = await watchSpec(file, {
+                modules: options.module?.map(parseModuleOption),
+                post: options.post?.map(parsePostOption).flat()
+            });
+            process.on('SIGINT', async () => {
+                await watcher.close();
+                process.exit(0);
+            });
+        }
+        catch (err) {
+            console.error(err);
+            process.exit(1);
+        }
+    })
+    .addHelpText('after', `
+Description:
+  Crawls the given local spec file, then watches that file and the local files
+  it includes (through "data-include" attributes or scripts) and crawls the
+  spec again each time one of them changes. Press Ctrl+C to stop watching.
+
+  After each crawl, the command reports the definitions, Web IDL names and
+  members, CSS properties, at-rules and selectors that were added, removed or
+  modified since the previous crawl, as well as CSS and IDL terms that do not
+  have a corresponding definition in the spec and that were not reported
+  before. For instance:
+    $ reffy watch index.html
+
+  The --module and --post options work as for the main command. All core
+  processing modules run by default. The "idlparsed" post-processing module
+  always runs when the "idl" processing module runs, to detect missing IDL
+  definitions.
 `);
 
 program.parse(process.argv);
@@ -0,0 +1,169 @@
+import getAbsoluteUrl from './get-absolute-url.mjs';
+
+/**
+ * Extract the MDN and WPT annotations that the spec contains
+ *
+ * Extraction supports the annotations that Bikeshed generates:
+ * - MDN annotations (".mdn-anno") list the MDN pages that document the
+ *   feature defined next to the annotation, along with browser support data.
+ * - WPT annotations (".wpt-tests-block") list the web-platform-tests that
+ *   cover the preceding prose.
+ *
+ * Each annotation is returned with its "type" ("mdn" or "wpt") and the "href"
+ * of the anchor it is attached to. MDN annotations are attached to the
+ * anchor that their "data-anno-for" attribute targets, or to the first dfn or
+ * heading that follows them. WPT annotations are attached to the last dfn or
+ * heading that precedes them.
+ *
+ * MDN annotations have a list of "features", each with the "slug" and "href"
+ * of the MDN page, the "engines" summary when available (e.g. "In all
+ * current engines."), and the browser "support" data, indexed by browser
+ * name. WPT annotations have a list of "tests", each being the path of a
+ * test file in the web-platform-tests repository.
+ *
+ * @function
+ * @public
+ * @return {Array(Object)} The list of annotations
+ */
+export default function () {
+  function getText(el) {
+    return el.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  // Return the absolute URL targeted by the given link, or null if the URL
+  // cannot be resolved
+  function getLinkUrl(link) {
+    const page = link.closest('[data-reffy-page]')?.getAttribute('data-reffy-page');
+    try {
+      return new URL(link.getAttribute('href'), page ?? location);
+    }
+    catch {
+      return null;
+    }
+  }
+
+  function getMdnFeature(feature) {
+    const link = [...feature.querySelectorAll('a[href]')]
+      .find(link => getLinkUrl(link)?.pathname.match(/\/docs\/./));
+    if (!link) {
+      return null;
+    }
+    const url = getLinkUrl(link);
+    const res = {
+      slug: decodeURIComponent(url.pathname.replace(/^.*?\/docs\//, '')),
+      href: url.toString()
+    };
+
+    const engines = feature.querySelector('[class$="-engines-text"]');
+    if (engines && getText(engines)) {
+      res.engines = getText(engines);
+    }
+
+    const support = {};
+    for (const browser of feature.querySelectorAll('.support > span[class]')) {
+      const name = [...browser.classList]
+        .find(name => !['yes', 'no', 'unknown'].includes(name));
+      if (!name) {
+        continue;
+      }
+      support[name] = {};
+      if (browser.classList.contains('yes')) {
+        support[name].supported = true;
+      }
+      else if (browser.classList.contains('no')) {
+        support[name].supported = false;
+      }
+      const version = browser.children.length > 1 ?
+        getText(browser.lastElementChild) : '';
+      if (version && !['None', '?'].includes(version)) {
+        support[name].version = version;
+      }
+    }
+    if (Object.keys(support).length > 0) {
+      res.support = support;
+    }
+    return res;
+  }
+
+  // Return the path of the test file that the given WPT list item links to,
+  // from the links to wpt.fyi or to wpt.live
+  function getWptTest(item) {
+    for (const link of item.querySelectorAll('a[href]')) {
+      const url = getLinkUrl(link);
+      if (url?.hostname === 'wpt.fyi' && url.pathname.startsWith('/results/')) {
+        return decodeURIComponent(url.pathname.substring('/results/'.length));
+      }
+      if (url?.hostname.match(/^wpt\.live$|^web-platform\.test$/)) {
+        return decodeURIComponent(url.pathname.substring(1));
+      }
+    }
+    return null;
+  }
+
+  // Anchors and annotations, in document order. The walk keeps track of the
+  // last anchor seen for WPT annotations, and of the MDN annotations that
+  // wait for the next anchor.
+  const anchorSelector = 'dfn[id], :is(h1,h2,h3,h4,h5,h6)[id]';
+  const annotationSelector = '.mdn-anno, .wpt-tests-block';
+  const nodes = [...document.querySelectorAll(`${anchorSelector}, ${annotationSelector}`)]
+    .filter(el => !el.matches(anchorSelector) || !el.closest(annotationSelector));
+
+  const entries = [];
+  let lastAnchor = null;
+  let pending = [];
+  for (const el of nodes) {
+    if (el.matches(anchorSelector)) {
+      for (const entry of pending) {
+        entry.anchor = el;
+      }
+      pending = [];
+      lastAnchor = el;
+      continue;
+    }
+
+    const annotation = {
+      type: el.matches('.mdn-anno') ? 'mdn' : 'wpt'
+    };
+    if (annotation.type === 'mdn') {
+      annotation.features = [...el.querySelectorAll('.feature')]
+        .map(getMdnFeature)
+        .filter(feature => !!feature);
+      if (annotation.features.length === 0) {
+        continue;
+      }
+    }
+    else {
+      annotation.tests = [...el.querySelectorAll('li')]
+        .map(getWptTest)
+        .filter(test => !!test);
+      if (annotation.tests.length === 0) {
+        continue;
+      }
+    }
+
+    const entry = { annotation, anchor: null };
+    if (annotation.type === 'mdn') {
+      const annoFor = el.getAttribute('data-anno-for');
+      if (annoFor) {
+        entry.anchor = document.getElementById(annoFor);
+      }
+      else {
+        pending.push(entry);
+      }
+    }
+    else {
+      entry.anchor = lastAnchor;
+    }
+    entries.push(entry);
+  }
+
+  const annotations = entries.map(({ annotation, anchor }) => {
+    const res = { type: annotation.type };
+    if (anchor) {
+      res.href = getAbsoluteUrl(anchor);
+    }
+    return Object.assign(res, annotation);
+  });
+
+  return annotations;
+}
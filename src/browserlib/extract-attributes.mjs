@@ -0,0 +1,315 @@
+import extractWebIdl from './extract-webidl.mjs';
+import extractElements from './extract-elements.mjs';
+import {parse} from "../../node_modules/webidl2/index.js";
+import getAbsoluteUrl from './get-absolute-url.mjs';
+
+/**
+ * Extract the list of content attributes that the spec defines
+ *
+ * Content attributes are the dfns of type "element-attr". For each of them,
+ * the extraction returns:
+ * - "name": the name of the attribute.
+ * - "href": the URL of the attribute definition.
+ * - "global": whether the attribute is a global attribute, that is an
+ *   attribute defined for all elements. Global attributes are defined "for"
+ *   a scope that ends with "global" (e.g. "html-global"), or for nothing.
+ * - "elements": the names of the elements that own the attribute, for
+ *   element-specific attributes.
+ * - "values": the keywords of enumerated attributes, from dfns of type
+ *   "attr-value", each with a "value", an "href" and the "state" that the
+ *   keyword maps to, when the keyword appears in a table that has a "State"
+ *   column, as in the HTML spec.
+ * - "missingValueDefault" and "invalidValueDefault": the name of the states
+ *   that enumerated attributes default to, when the prose that follows the
+ *   table of keywords and states defines them.
+ * - "reflectedBy": the IDL attributes that reflect the content attribute,
+ *   each with a "name", an "interface" and an "href" when known. Reflection
+ *   is detected from the "[Reflect]" extended attribute in IDL and from
+ *   sentences that link to the "reflect" definition in prose.
+ *
+ * @function
+ * @public
+ * @param {Object} spec The spec being crawled
+ * @return {Array(Object)} The list of content attributes
+ */
+export default function (spec) {
+  function getText(el) {
+    return el.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  function getDfnName(dfn) {
+    const lt = dfn.getAttribute('data-lt');
+    return lt ? lt.split('|')[0].trim() : getText(dfn);
+  }
+
+  function getDfnFor(dfn) {
+    return (dfn.getAttribute('data-dfn-for') ?? '')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(scope => !!scope);
+  }
+
+  function isGlobalScope(scope) {
+    return scope === 'global' || scope.endsWith('-global');
+  }
+
+  // Return the dfn that the given link targets, provided the target is in
+  // the same document
+  function getLinkTarget(link) {
+    const url = getLinkUrl(link);
+    const id = url ? decodeURIComponent((new URL(url)).hash.substring(1)) : null;
+    const target = id ? document.getElementById(id) : null;
+    return target && getAbsoluteUrl(target) === url ? target : null;
+  }
+
+  // Return the absolute URL targeted by the given link, or null if the URL
+  // cannot be resolved
+  function getLinkUrl(link) {
+    const page = link.closest('[data-reffy-page]')?.getAttribute('data-reffy-page');
+    try {
+      return (new URL(link.getAttribute('href'), page ?? location)).toString();
+    }
+    catch {
+      return null;
+    }
+  }
+
+  // Return the cell that is in the same column as the given header cell in
+  // the row of the given cell, taking row spans into account.
+  function getCellInColumn(cell, headerRegExp) {
+    const table = cell.closest('table');
+    const grid = [];
+    [...table.rows].forEach((row, y) => {
+      grid[y] = grid[y] ?? [];
+      let x = 0;
+      for (const c of row.cells) {
+        while (grid[y][x]) {
+          x++;
+        }
+        for (let dy = 0; dy < (c.rowSpan || 1); dy++) {
+          for (let dx = 0; dx < (c.colSpan || 1); dx++) {
+            grid[y + dy] = grid[y + dy] ?? [];
+            grid[y + dy][x + dx] = c;
+          }
+        }
+        x += c.colSpan || 1;
+      }
+    });
+    const header = grid[0] ?? [];
+    const column = header.findIndex(c => c.nodeName === 'TH' &&
+      getText(c).match(headerRegExp));
+    const row = grid[cell.closest('tr').rowIndex] ?? [];
+    return column >= 0 && row[column] !== cell ? row[column] : null;
+  }
+
+  // Look for the default states of an enumerated attribute in the prose that
+  // follows the table of keywords and states
+  function setDefaultStates(attr, table) {
+    const defaultRegExp = /\b(missing|invalid) value default(?: and (missing|invalid) value default)?(?: are both| is) the (.+?) state\b/gi;
+    let el = table.nextElementSibling;
+    for (let i = 0; el && i < 3; i++, el = el.nextElementSibling) {
+      if (el.matches('h1, h2, h3, h4, h5, h6, table, section')) {
+        break;
+      }
+      for (const match of getText(el).matchAll(defaultRegExp)) {
+        for (const type of [match[1], match[2]].filter(type => !!type)) {
+          attr[type.toLowerCase() + 'ValueDefault'] = match[3];
+        }
+      }
+    }
+  }
+
+  function addReflection(attr, idl) {
+    attr.reflectedBy = attr.reflectedBy ?? [];
+    if (!attr.reflectedBy.find(r =>
+        r.name === idl.name && r.interface === idl.interface)) {
+      attr.reflectedBy.push(idl);
+    }
+  }
+
+  const attributes = [...document.querySelectorAll('dfn[data-dfn-type="element-attr"][id]')]
+    .map(dfn => {
+      const scopes = getDfnFor(dfn);
+      const attr = {
+        name: getDfnName(dfn),
+        href: getAbsoluteUrl(dfn),
+        global: scopes.length === 0 || !!scopes.find(isGlobalScope)
+      };
+      const elements = scopes.filter(scope => !isGlobalScope(scope));
+      if (elements.length > 0) {
+        attr.elements = elements;
+      }
+      return attr;
+    });
+  if (attributes.length === 0) {
+    return attributes;
+  }
+
+  // Return the attributes that have the given name and that are defined for
+  // one of the given elements, or the global attributes that have the given
+  // name when there are none
+  function findAttributes(name, elements) {
+    const candidates = attributes.filter(attr => attr.name === name);
+    const specific = candidates.filter(attr =>
+      attr.elements?.find(el => elements.includes(el)));
+    return specific.length > 0 ?
+      specific :
+      candidates.filter(attr => attr.global);
+  }
+
+  // Keywords and states of enumerated attributes. Values are defined "for"
+  // "element/attribute", or simply for "attribute".
+  for (const dfn of document.querySelectorAll('dfn[data-dfn-type="attr-value"][id]')) {
+    for (const scope of getDfnFor(dfn)) {
+      const [attrName, elName] = scope.split('/').reverse();
+      const owners = elName ?
+        findAttributes(attrName, [elName]) :
+        attributes.filter(attr => attr.name === attrName);
+      for (const attr of owners) {
+        const value = {
+          value: getDfnName(dfn),
+          href: getAbsoluteUrl(dfn)
+        };
+        const cell = dfn.closest('td, th');
+        const stateCell = cell ? getCellInColumn(cell, /^states?$/i) : null;
+        if (stateCell) {
+          const stateDfn = stateCell.querySelector('dfn[id]');
+          const name = getText(stateDfn ?? stateCell);
+          if (name) {
+            value.state = { name };
+            if (stateDfn) {
+              value.state.href = getAbsoluteUrl(stateDfn);
+            }
+          }
+          if (!attr.values) {
+            setDefaultStates(attr, cell.closest('table'));
+          }
+        }
+        attr.values = attr.values ?? [];
+        attr.values.push(value);
+      }
+    }
+  }
+
+  // Elements that use an interface, to map IDL attributes to content
+  // attributes
+  const elementsByInterface = {};
+  let markupElements = [];
+  try {
+    markupElements = extractElements(spec) ?? [];
+  }
+  catch {
+    // Elements cannot be extracted, proceed without them
+  }
+  for (const el of markupElements) {
+    if (el.interface) {
+      elementsByInterface[el.interface] = elementsByInterface[el.interface] ?? [];
+      elementsByInterface[el.interface].push(el.name);
+    }
+  }
+
+  function getIdlAttributeHref(iface, name) {
+    const dfn = [...document.querySelectorAll(`dfn[data-dfn-type="attribute"][id]`)]
+      .find(dfn => getDfnFor(dfn).includes(iface) && getDfnName(dfn) === name);
+    return dfn ? getAbsoluteUrl(dfn) : null;
+  }
+
+  // Reflection through the [Reflect] extended attribute in IDL
+  let idlTree = [];
+  try {
+    idlTree = parse(extractWebIdl());
+  }
+  catch {
+    // Spec defines some invalid Web IDL, proceed without it
+  }
+  const includes = idlTree.filter(item => item.type === 'includes');
+  for (const item of idlTree) {
+    if (item.type !== 'interface' && item.type !== 'interface mixin') {
+      continue;
+    }
+    const interfaces = item.type === 'interface' ? [item.name] :
+      includes.filter(inc => inc.includes === item.name).map(inc => inc.target);
+    const elements = interfaces
+      .map(iface => elementsByInterface[iface] ?? [])
+      .flat();
+    for (const member of item.members) {
+      const reflect = member.type === 'attribute' &&
+        member.extAttrs.find(ea => ea.name === 'Reflect' || ea.name === 'ReflectURL');
+      if (!reflect) {
+        continue;
+      }
+      const contentName = reflect.rhs?.value ?
+        reflect.rhs.value.replace(/^"|"$/g, '') :
+        member.name.toLowerCase();
+      for (const attr of findAttributes(contentName, elements)) {
+        const idl = { name: member.name, interface: item.name };
+        const href = getIdlAttributeHref(item.name, member.name);
+        if (href) {
+          idl.href = href;
+        }
+        addReflection(attr, idl);
+      }
+    }
+  }
+
+  // Reflection in prose, e.g., "The foo IDL attribute must reflect the foo
+  // content attribute"
+  const reflectLinks = [...document.querySelectorAll('a[href]')]
+    .filter(link => getLinkUrl(link)?.endsWith('#reflect'));
+  const blocks = new Set(reflectLinks
+    .map(link => link.closest('p, li, dd, div'))
+    .filter(block => !!block));
+  for (const block of blocks) {
+    const idlAttrs = [];
+    const contentAttrs = [];
+    for (const el of block.querySelectorAll('dfn[data-dfn-type="attribute"], a[href]')) {
+      const target = el.nodeName === 'DFN' ? el : getLinkTarget(el);
+      const type = target?.getAttribute('data-dfn-type') ??
+        el.getAttribute('data-link-type');
+      if (type === 'attribute') {
+        const idl = {
+          name: getDfnName(target ?? el),
+          interface: getDfnFor(target ?? el)[0] ?? el.getAttribute('data-link-for')
+        };
+        if (!idl.interface) {
+          delete idl.interface;
+        }
+        if (target?.id) {
+          idl.href = getAbsoluteUrl(target);
+        }
+        idlAttrs.push(idl);
+      }
+      else if (type === 'element-attr' || !target) {
+        const url = el.nodeName === 'A' ? getLinkUrl(el) : null;
+        const attr = attributes.find(attr => attr.href === url);
+        if (attr) {
+          contentAttrs.push(attr);
+        }
+      }
+    }
+
+    if (contentAttrs.length === 0) {
+      // "must reflect the content attribute of the same name"
+      for (const idl of idlAttrs) {
+        const elements = elementsByInterface[idl.interface] ?? [];
+        for (const attr of findAttributes(idl.name.toLowerCase(), elements)) {
+          addReflection(attr, idl);
+        }
+      }
+    }
+    else if (contentAttrs.length === idlAttrs.length) {
+      contentAttrs.forEach((attr, idx) => addReflection(attr, idlAttrs[idx]));
+    }
+    else {
+      for (const idl of idlAttrs) {
+        const attr = contentAttrs.find(attr =>
+          attr.name === idl.name.toLowerCase());
+        if (attr) {
+          addReflection(attr, idl);
+        }
+      }
+    }
+  }
+
+  return attributes;
+}
@@ -3,15 +3,39 @@ import getAbsoluteUrl from './get-absolute-url.mjs';
 /**
  * Extract the list of markup elements that the spec defines
  *
- * Extraction requires spec to follow a structure similar to the one used in
- * the HTML spec:
+ * Extraction supports the structure used in the HTML spec:
  * https://html.spec.whatwg.org/multipage/dom.html#element-definitions
  *
- * Important (2021-05-31): Extraction code is incomplete and only extracts the
- * mapping between each element and its associated IDL interface for now. The
- * rest of the extraction logic is currently disabled because it does not yet
- * produce fully machine-readable results, see inline comments prefixed with
- * "TODO" for details.
+ * ... the "element-summary" and "definition-table" structures used in SVG
+ * specs, and elements defined with a "dfn" of type "element", as in MathML
+ * Core.
+ *
+ * For HTML elements, the extraction also returns:
+ * - "categories": the list of content categories that the element belongs to,
+ *   each with a lower-case "name", the "href" of the category when it is
+ *   linked, and the "condition" under which the element belongs to the
+ *   category, when the category is conditional.
+ * - "contexts", "contents" and "omission": the contexts in which the element
+ *   can be used, its content model, and the tag omission rules in text/html.
+ *   These are expressed in prose. Each of them is a list of clauses, with the
+ *   "text" of the clause, its "condition" if any, and the "links" that appear
+ *   in the clause, each with a "text" and an "href". Links are what make these
+ *   clauses machine-readable: they point to the elements, content categories
+ *   and attributes that the clause mentions.
+ * - "attributes": the list of content attributes specific to the element,
+ *   each with a "name", an "href", a "description" and the "condition" under
+ *   which the attribute applies when available, along with a
+ *   "globalAttributes" flag when the element accepts global attributes.
+ *
+ * For SVG elements, the extraction returns the "categories", the "contents"
+ * (permitted content, as a single clause) and the "attributes" of the
+ * element. SVG specs list attributes in groups (e.g. "core attributes"), so
+ * attributes have a "group" property when they belong to one. Attributes also
+ * have an "animatable" flag when the spec defines whether they can be
+ * animated.
+ *
+ * For other elements, attributes are the dfns of type "element-attr" defined
+ * for the element.
  *
  * @function
  * @public
@@ -21,6 +45,219 @@ export default function (spec) {
     return el.textContent.trim().replace(/\s+/g, ' ');
   }
 
+  // Return the text content of the given element, keeping list items and
+  // paragraphs apart
+  function getProseText(el) {
+    const clone = el.cloneNode(true);
+    for (const block of clone.querySelectorAll('li, ul, ol, p, br, div')) {
+      block.before(' ');
+      block.after(' ');
+    }
+    return getText(clone);
+  }
+
+  // Return the absolute URL targeted by the given link, or null if the URL
+  // cannot be resolved
+  function getLinkUrl(link) {
+    const page = link.closest('[data-reffy-page]')?.getAttribute('data-reffy-page');
+    try {
+      return (new URL(link.getAttribute('href'), page ?? window.location.href)).toString();
+    }
+    catch {
+      return null;
+    }
+  }
+
+  // Return the "dd" elements that follow the given "dt" element, until the
+  // next "dt" element
+  function getDescriptions(dt) {
+    const dds = [];
+    let dd = dt.nextElementSibling;
+    while (dd && dd.nodeName !== 'DT') {
+      if (dd.nodeName === 'DD') {
+        dds.push(dd);
+      }
+      dd = dd.nextElementSibling;
+    }
+    return dds;
+  }
+
+  // Split the given text into a condition and the text that the condition
+  // applies to, e.g. "If the element has a controls attribute: Interactive
+  // content"
+  function splitCondition(text) {
+    const match = text.match(/^((?:If|When|Where|Unless|Otherwise)\b[^:]*):\s*(.+)$/);
+    return match ?
+      { condition: match[1], text: match[2] } :
+      { text };
+  }
+
+  // Convert the given "dd" element to a clause with its text, its condition,
+  // and the links that it contains
+  function getClause(dd) {
+    const clause = splitCondition(getProseText(dd).replace(/\.$/, ''));
+    const links = [...dd.querySelectorAll('a[href]')]
+      .map(link => ({ text: getText(link), href: getLinkUrl(link) }))
+      .filter(link => link.text && link.href);
+    if (links.length > 0) {
+      clause.links = links;
+    }
+    return clause;
+  }
+
+  // Convert the given "dd" element to a content category
+  function getCategory(dd) {
+    const clause = getClause(dd);
+    const category = { name: clause.text.toLowerCase() };
+    const link = (clause.links ?? []).findLast(link =>
+      category.name.includes(link.text.toLowerCase()));
+    if (link) {
+      category.href = link.href;
+    }
+    if (clause.condition) {
+      category.condition = clause.condition;
+    }
+    return category;
+  }
+
+  // Return the animatable status of attributes, indexed by the URL of their
+  // definition. SVG 2 defines attributes in tables with an "Animatable"
+  // column, other SVG specs follow the attribute definition with an
+  // "Animatable: yes" (or "no") statement.
+  function getAnimatableStatus() {
+    const status = {};
+    for (const table of document.querySelectorAll('table.attrdef')) {
+      const rows = [...table.querySelectorAll('tr')];
+      const headerRow = rows.find(row => row.querySelector('th'));
+      const column = [...(headerRow?.children ?? [])]
+        .findIndex(cell => getText(cell).match(/^Animatable:?$/i));
+      if (column === -1) {
+        continue;
+      }
+      for (const row of rows.filter(row => row !== headerRow)) {
+        const def = row.children[0]?.querySelector('[id]');
+        const value = row.children[column];
+        if (def && value && getText(value).match(/^(yes|no)\b/i)) {
+          status[getAbsoluteUrl(def)] = !!getText(value).match(/^yes/i);
+        }
+      }
+    }
+    for (const dfn of document.querySelectorAll('dt dfn[data-dfn-type="element-attr"][id]')) {
+      let dd = dfn.closest('dt').nextElementSibling;
+      while (dd && dd.nodeName !== 'DD') {
+        dd = dd.nextElementSibling;
+      }
+      const match = dd ? getText(dd).match(/Animatable:\s*(yes|no)\b/i) : null;
+      if (match) {
+        status[getAbsoluteUrl(dfn)] = match[1].toLowerCase() === 'yes';
+      }
+    }
+    return status;
+  }
+
+  // Add the animatable status to the given attribute when it is known
+  function setAnimatable(attribute) {
+    if (attribute.href && animatable[attribute.href] !== undefined) {
+      attribute.animatable = animatable[attribute.href];
+    }
+    return attribute;
+  }
+
+  // Convert the given cell of an SVG element summary to a list of content
+  // categories. Each category is typically a link.
+  function getSvgCategories(cell) {
+    const text = getText(cell).replace(/\.$/, '');
+    if (!text || text.match(/^None$/i)) {
+      return [];
+    }
+    const links = [...cell.querySelectorAll('a[href]')];
+    if (links.length === 0) {
+      return text.split(/\s*,\s*/).map(name => ({ name: name.toLowerCase() }));
+    }
+    return links.map(link => {
+      const category = { name: getText(link).toLowerCase() };
+      const href = getLinkUrl(link);
+      if (href) {
+        category.href = href;
+      }
+      return category;
+    });
+  }
+
+  // Convert the given cell of an SVG element summary to a list of attributes.
+  // Items are either links to individual attributes, or links to groups of
+  // attributes followed by the list of attributes in the group, within an
+  // "expanding" element.
+  function getSvgAttributes(cell) {
+    const items = cell.querySelector('li') ?
+      [...cell.querySelectorAll('li')] :
+      [cell];
+    return items.map(item => {
+      const expanding = item.querySelector('.expanding');
+      const links = [...(expanding ?? item).querySelectorAll('a[href]')];
+      let group = null;
+      if (expanding) {
+        const groupLink = [...item.querySelectorAll('a[href]')]
+          .find(link => !expanding.contains(link));
+        group = groupLink ?
+          getText(groupLink) :
+          getText(item).split(/\s*—/)[0];
+      }
+      return links.map(link => {
+        const attribute = { name: getText(link).replace(/[‘’]/g, '') };
+        const href = getLinkUrl(link);
+        if (href) {
+          attribute.href = href;
+        }
+        if (group) {
+          attribute.group = group;
+        }
+        return setAnimatable(attribute);
+      });
+    }).flat();
+  }
+
+  // Convert the given "dd" element to a content attribute. Attribute entries
+  // typically look like "<code><a>src</a></code> — Address of the resource",
+  // possibly preceded by a condition, as in "If the element is a child of an
+  // <code>ol</code> element: <code>value</code> — Ordinal value".
+  function getAttribute(dd) {
+    const clause = splitCondition(getProseText(dd));
+
+    // The attribute is the first code (or link) that follows the condition.
+    // Conditions never contain a colon.
+    const afterCondition = el => {
+      if (!clause.condition) {
+        return true;
+      }
+      const range = document.createRange();
+      range.setStart(dd, 0);
+      range.setEndBefore(el);
+      return range.toString().includes(':');
+    };
+    const code = [...dd.querySelectorAll('code')].find(afterCondition) ??
+      [...dd.querySelectorAll('a')].find(afterCondition);
+    if (!code) {
+      return null;
+    }
+    const attribute = { name: getText(code) };
+    const link = code.nodeName === 'A' ? code : code.querySelector('a[href]');
+    const href = link ? getLinkUrl(link) : null;
+    if (href) {
+      attribute.href = href;
+    }
+    const description = clause.text.split(/\s+[—–-]\s+/).slice(1).join(' — ');
+    if (description) {
+      attribute.description = description.replace(/\.$/, '');
+    }
+    if (clause.condition) {
+      attribute.condition = clause.condition;
+    }
+    return attribute;
+  }
+
+  const animatable = getAnimatableStatus();
+
   // Extract HTML elements
   const htmlElements = [...document.querySelectorAll('dl.element')]
     .map(el => {
@@ -54,47 +291,34 @@ export default function (spec) {
         const dts = [...el.querySelectorAll('dt')];
         dts.forEach(dt => {
           const prop = ({
-            // TODO: Properties other than "interface" follow common patterns
-            // most of the time... but not always, making it hard to  create
-            // fully machine-readable info. Uncomment following lines to extract
-            // more info and improve the code
-            // 'Categories': 'categories',
-            // 'Contexts in which this element can be used': 'contexts',
-            // 'Content model': 'contents',
-            // 'Tag omission in text/html': 'omission',
-            // 'Content attributes': 'attributes',
-            // 'Accessibility considerations': 'accessibility',
+            'Categories': 'categories',
+            'Contexts in which this element can be used': 'contexts',
+            'Content model': 'contents',
+            'Tag omission in text/html': 'omission',
+            'Content attributes': 'attributes',
             'DOM interface': 'interface'
           })[getText(dt).replace(/:$/, '')];
 
-          if (prop === 'omission') {
-            // Tag omission can be a complex paragraph but it is never a list.
-            let dd = dt.nextElementSibling;
-            while (dd && dd.nodeName !== 'DD') {
-              dd = dd.nextElementSibling;
-            }
-            if (dd) {
-              res[prop] = getText(dd);
-            }
+          if (prop === 'categories') {
+            res[prop] = getDescriptions(dt)
+              .filter(dd => !getText(dd).match(/^None\.?$/))
+              .map(getCategory);
+          }
+          else if (['contexts', 'contents', 'omission'].includes(prop)) {
+            res[prop] = getDescriptions(dt).map(getClause);
           }
-          else if (prop === 'accessibility') {
-            // TODO: Accessibility considerations links to ARIA and AAM. The
-            // code does not yet handle more complex associations that currently
-            // appear in the definitions of the img, sub and sup, input and
-            // select elements.
+          else if (prop === 'attributes') {
             res[prop] = [];
-            let dd = dt.nextElementSibling;
-            while (dd && dd.nodeName !== 'DT') {
-              if (dd.nodeName === 'DD') {
-                const link = dd.querySelector('a');
-                if (link) {
-                  res[prop].push({
-                    title: getText(link),
-                    href: link.getAttribute('href')
-                  });
+            for (const dd of getDescriptions(dt)) {
+              if (getText(dd).match(/^Global attributes\.?$/i)) {
+                res.globalAttributes = true;
+              }
+              else {
+                const attribute = getAttribute(dd);
+                if (attribute) {
+                  res[prop].push(attribute);
                 }
               }
-              dd = dd.nextElementSibling;
             }
           }
           else if (prop === 'interface') {
@@ -128,16 +352,6 @@ export default function (spec) {
               throw new Error('Could not link element to interface, missing dd for ' + res.name);
             }
           }
-          else if (prop) {
-            res[prop] = [];
-            let dd = dt.nextElementSibling;
-            while (dd && dd.nodeName !== 'DT') {
-              if (dd.nodeName === 'DD') {
-                res[prop].push(getText(dd).replace(/\.$/, ''));
-              }
-              dd = dd.nextElementSibling;
-            }
-          }
         });
         return res;
       });
@@ -179,14 +393,26 @@ export default function (spec) {
       const dts = [...el.querySelectorAll('dt')];
       dts.forEach(dt => {
         const prop = ({
+          'Categories': 'categories',
+          'Content model': 'contents',
+          'Attributes': 'attributes',
           'DOM Interfaces': 'interface'
         })[getText(dt).replace(/:$/, '')];
-        
-        if (prop === 'interface') {
-          let dd = dt.nextElementSibling;
-          while (dd && dd.nodeName !== 'DD') {
-            dd = dd.nextElementSibling;
-          }
+        let dd = dt.nextElementSibling;
+        while (dd && dd.nodeName !== 'DD') {
+          dd = dd.nextElementSibling;
+        }
+
+        if (prop === 'categories' && dd) {
+          res[prop] = getSvgCategories(dd);
+        }
+        else if (prop === 'contents' && dd) {
+          res[prop] = [getClause(dd)];
+        }
+        else if (prop === 'attributes' && dd) {
+          res[prop] = getSvgAttributes(dd);
+        }
+        else if (prop === 'interface') {
           if (dd) {
             // For some reason, the "discard" element has no interface:
             // https://svgwg.org/specs/animations/#DiscardElement
@@ -218,14 +444,26 @@ export default function (spec) {
       const ths = [...el.querySelectorAll('th')];
       ths.forEach(th => {
         const prop = ({
+          'Categories': 'categories',
+          'Content model': 'contents',
+          'Attributes': 'attributes',
           'DOM Interfaces': 'interface'
         })[getText(th).replace(/:$/, '')];
-        
-        if (prop === 'interface') {
-          let td = th.nextElementSibling;
-          while (td && td.nodeName !== 'TD') {
-            td = td.nextElementSibling;
-          }
+        let td = th.nextElementSibling;
+        while (td && td.nodeName !== 'TD') {
+          td = td.nextElementSibling;
+        }
+
+        if (prop === 'categories' && td) {
+          res[prop] = getSvgCategories(td);
+        }
+        else if (prop === 'contents' && td) {
+          res[prop] = [getClause(td)];
+        }
+        else if (prop === 'attributes' && td) {
+          res[prop] = getSvgAttributes(td);
+        }
+        else if (prop === 'interface') {
           if (td) {
             res[prop] = getText(td);
           }
@@ -262,6 +500,17 @@ export default function (spec) {
           elInfo.interface = interfaces[0].textContent.trim();
         }
       }
+      const attributes = [...document.querySelectorAll('dfn[data-dfn-type="element-attr"][data-dfn-for]')]
+        .filter(dfn => dfn.getAttribute('data-dfn-for').split(',')
+          .map(name => name.trim())
+          .includes(elInfo.name))
+        .map(dfn => setAnimatable({
+          name: getText(dfn),
+          href: getAbsoluteUrl(dfn)
+        }));
+      if (attributes.length) {
+        elInfo.attributes = attributes;
+      }
       return elInfo;
       });
   if (otherElements.length) {
@@ -0,0 +1,291 @@
+/**
+ * Extract metadata about the spec: editors, maturity level, groups,
+ * repository, feedback channels, etc.
+ *
+ * Extraction reads the header of the spec as rendered by ReSpec, Bikeshed
+ * and WHATWG tools, which all follow similar conventions: a list of labeled
+ * links, editors marked up as h-cards, a paragraph that gives the maturity
+ * level, and a copyright notice that links to the license. For ReSpec specs,
+ * the extraction completes the header with the ReSpec configuration, when
+ * the configuration is still available in the page.
+ *
+ * The function returns an object with the following properties, when found:
+ * - "editors" and "formerEditors": the list of editors, each with a "name",
+ *   an "url", an "email", a "w3cid" and an "affiliation" with a "name" and an
+ *   "url" when known.
+ * - "status": the maturity level of the spec, using ReSpec's "specStatus"
+ *   codes (e.g. "ED", "WD", "CR", "REC", "NOTE", "LS").
+ * - "groups": the list of groups that publish the spec, each with a "name"
+ *   and an "url".
+ * - "repository": the URL of the GitHub repository of the spec.
+ * - "issueTracker": the URL of the issue tracker.
+ * - "testSuite": the URL of the test suite.
+ * - "implementationReport": the URL of the implementation report.
+ * - "previousVersions": the URLs of previous versions of the spec.
+ * - "license": the URL of the license under which the spec is published.
+ *
+ * @function
+ * @public
+ * @return {Object} An object with the metadata that could be extracted
+ */
+export default function () {
+  // Maturity levels, in the order in which they need to be tested, from the
+  // most specific to the most generic label
+  const statuses = [
+    ['CG-DRAFT', /Draft Community Group Report/i],
+    ['CG-FINAL', /Final Community Group Report/i],
+    ['BG-DRAFT', /Draft Business Group Report/i],
+    ['BG-FINAL', /Final Business Group Report/i],
+    ['ED', /Editor['’]s Draft/i],
+    ['FPWD', /First Public Working Draft/i],
+    ['WD', /Working Draft/i],
+    ['CRD', /Candidate Recommendation Draft/i],
+    ['CR', /Candidate Recommendation/i],
+    ['PR', /Proposed Recommendation/i],
+    ['RSCND', /Rescinded Recommendation/i],
+    ['REC', /Recommendation/i],
+    ['DNOTE', /Group Note Draft|Group Draft Note|Draft Note/i],
+    ['NOTE', /\bNote\b/i],
+    ['STMT', /\bStatement\b/i],
+    ['DISC', /Discontinued Draft/i],
+    ['CRYD', /Candidate Registry Draft/i],
+    ['CRY', /Candidate Registry/i],
+    ['DRY', /Registry Draft|Draft Registry/i],
+    ['RY', /\bRegistry\b/i],
+    ['LS', /Living Standard/i],
+    ['LD', /Living Document/i],
+    ['RD', /Review Draft/i],
+    ['unofficial', /Unofficial (Proposal )?Draft/i],
+    ['Member-SUBM', /Member Submission/i]
+  ];
+
+  // URLs of the licenses that ReSpec knows about
+  const respecLicenses = {
+    'cc0': 'https://creativecommons.org/publicdomain/zero/1.0/',
+    'w3c-software': 'https://www.w3.org/copyright/software-license-2002/',
+    'w3c-software-doc': 'https://www.w3.org/copyright/software-license-2023/',
+    'cc-by': 'https://creativecommons.org/licenses/by/4.0/legalcode',
+    'document': 'https://www.w3.org/copyright/document-license/',
+    'dual': 'https://www.w3.org/Consortium/Legal/2013/copyright-documents-dual.html'
+  };
+
+  function getText(el) {
+    return el.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  // Return the absolute URL targeted by the given link, or null if the link
+  // targets a fragment in the spec itself or cannot be resolved
+  function getLinkUrl(link) {
+    const href = link.getAttribute('href');
+    if (!href || href.startsWith('#')) {
+      return null;
+    }
+    const page = link.closest('[data-reffy-page]')?.getAttribute('data-reffy-page');
+    try {
+      return (new URL(href, page ?? location)).toString();
+    }
+    catch {
+      return null;
+    }
+  }
+
+  function getRespecConfig() {
+    try {
+      return window.respecConfig ??
+        window.eval('typeof respecConfig !== "undefined" ? respecConfig : null');
+    }
+    catch {
+      return null;
+    }
+  }
+
+  // Return the repository URL that the given GitHub URL belongs to
+  function getRepositoryUrl(url) {
+    const match = url?.match(/^https:\/\/github\.com\/([^\/]+)\/([^\/#?]+)/);
+    return match ?
+      `https://github.com/${match[1]}/${match[2].replace(/\.git$/, '')}` :
+      null;
+  }
+
+  function getPerson(dd) {
+    const nameEl = dd.querySelector('.p-name, .fn');
+    const person = {
+      name: nameEl ? getText(nameEl) : getText(dd).split(/[(,]/)[0].trim()
+    };
+    const url = [...dd.querySelectorAll('a.u-url, a.url')]
+      .map(getLinkUrl)
+      .find(url => url && !url.startsWith('mailto:'));
+    if (url) {
+      person.url = url;
+    }
+    const email = dd.querySelector('a[href^="mailto:"]');
+    if (email) {
+      person.email = decodeURIComponent(
+        email.getAttribute('href').substring('mailto:'.length).split('?')[0]);
+    }
+    const w3cid = dd.getAttribute('data-editor-id');
+    if (w3cid?.match(/^\d+$/)) {
+      person.w3cid = parseInt(w3cid, 10);
+    }
+    const org = dd.querySelector('.p-org, .org');
+    if (org && getText(org)) {
+      person.affiliation = { name: getText(org) };
+      const orgUrl = org.nodeName === 'A' ? getLinkUrl(org) : null;
+      if (orgUrl) {
+        person.affiliation.url = orgUrl;
+      }
+    }
+    return person;
+  }
+
+  function getRespecPerson(config) {
+    const person = { name: config.name };
+    if (config.url) {
+      person.url = config.url;
+    }
+    if (config.mailto) {
+      person.email = config.mailto;
+    }
+    if (typeof config.w3cid === 'number' || String(config.w3cid).match(/^\d+$/)) {
+      person.w3cid = parseInt(config.w3cid, 10);
+    }
+    if (config.company) {
+      person.affiliation = { name: config.company };
+      if (config.companyURL) {
+        person.affiliation.url = config.companyURL;
+      }
+    }
+    return person;
+  }
+
+  // Labeled definitions in the header, e.g. "Editors:" or "Feedback:"
+  const head = document.querySelector('.head');
+  const definitions = [];
+  for (const dl of head?.querySelectorAll('dl') ?? []) {
+    let label = null;
+    for (const child of dl.children) {
+      if (child.nodeName === 'DT') {
+        label = getText(child).replace(/:$/, '').trim().toLowerCase();
+      }
+      else if (child.nodeName === 'DD' && label) {
+        definitions.push({ label, dd: child });
+      }
+    }
+  }
+
+  function getDescriptions(labelRegExp) {
+    return definitions
+      .filter(def => def.label.match(labelRegExp))
+      .map(def => def.dd);
+  }
+
+  function getLinkUrls(labelRegExp) {
+    return getDescriptions(labelRegExp)
+      .map(dd => [...dd.querySelectorAll('a[href]')].map(getLinkUrl))
+      .flat()
+      .filter(url => !!url);
+  }
+
+  const config = getRespecConfig();
+  const metadata = {};
+
+  for (const [prop, labelRegExp] of [
+      ['editors', /^editors?$/],
+      ['formerEditors', /^former editors?$/]]) {
+    let persons = getDescriptions(labelRegExp).map(getPerson);
+    if (persons.length === 0 && Array.isArray(config?.[prop])) {
+      persons = config[prop].filter(person => person?.name).map(getRespecPerson);
+    }
+    persons = persons.filter(person => !!person.name);
+    if (persons.length > 0) {
+      metadata[prop] = persons;
+    }
+  }
+
+  const statusEl = [...document.querySelectorAll('#w3c-state, .head #subtitle, .head h2, #living-standard')]
+    .find(el => statuses.find(([_, regexp]) => getText(el).match(regexp)));
+  const status = statusEl ?
+    statuses.find(([_, regexp]) => getText(statusEl).match(regexp))[0] :
+    statuses.find(([code]) => code === config?.specStatus)?.[0];
+  if (status) {
+    metadata.status = status;
+  }
+
+  // The status section is either a section with an "sotd" ID (ReSpec) or
+  // the content that follows a heading with an "sotd" ID (Bikeshed)
+  const sotd = document.getElementById('sotd');
+  const sotdEls = [];
+  if (sotd?.matches('h1, h2, h3, h4, h5, h6')) {
+    let el = sotd.nextElementSibling;
+    while (el && !el.matches('h1, h2, h3, h4, h5, h6')) {
+      sotdEls.push(el);
+      el = el.nextElementSibling;
+    }
+  }
+  else if (sotd) {
+    sotdEls.push(sotd);
+  }
+  const sotdLinks = sotdEls
+    .map(el => [...el.querySelectorAll('a[href]')])
+    .flat();
+
+  const groups = [];
+  for (const link of sotdLinks) {
+    const url = getLinkUrl(link);
+    if (url?.match(/^https:\/\/www\.w3\.org\/(groups\/(wg|ig|cg|bg|tf|other)\/[^\/]+|community\/(?!about\/)[^\/]+)\/?$/) &&
+        !groups.find(group => group.url === url)) {
+      groups.push({ name: getText(link), url });
+    }
+  }
+  if (head?.querySelector('a[href="https://whatwg.org/"]')) {
+    groups.push({ name: 'WHATWG', url: 'https://whatwg.org/' });
+  }
+  if (groups.length > 0) {
+    metadata.groups = groups;
+  }
+
+  const feedbackUrls = getLinkUrls(/^(feedback|participate|issue tracking|github|repository)$/);
+  const configRepository = typeof config?.github === 'string' ?
+    (config.github.startsWith('https://') ? config.github : `https://github.com/${config.github}`) :
+    config?.github?.repoURL;
+  const repository = feedbackUrls.map(getRepositoryUrl).find(url => !!url) ??
+    getRepositoryUrl(configRepository);
+  if (repository) {
+    metadata.repository = repository;
+  }
+
+  const issueTracker = getLinkUrls(/^issue tracking$/)[0] ??
+    feedbackUrls.find(url => url.match(/^https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/?$/));
+  if (issueTracker) {
+    metadata.issueTracker = issueTracker;
+  }
+
+  for (const [prop, labelRegExp, configProp] of [
+      ['testSuite', /^(test suite|tests)$/, 'testSuiteURI'],
+      ['implementationReport', /^implementation report$/, 'implementationReportURI']]) {
+    const url = getLinkUrls(labelRegExp)[0] ?? config?.[configProp];
+    if (url) {
+      metadata[prop] = url;
+    }
+  }
+
+  const previousVersions = getLinkUrls(/^previous (published )?versions?$/);
+  if (previousVersions.length === 0 && config?.prevVersion &&
+      typeof config.prevVersion === 'string') {
+    previousVersions.push(config.prevVersion);
+  }
+  if (previousVersions.length > 0) {
+    metadata.previousVersions = [...new Set(previousVersions)];
+  }
+
+  const licenseLink = document.querySelector('a[rel~="license"][href]') ??
+    [...document.querySelectorAll('.copyright a[href], #copyright a[href], .head a[href], footer a[href]')]
+      .find(link => getLinkUrl(link)?.match(/creativecommons\.org\/(licenses|publicdomain)\/|w3\.org\/(copyright|Consortium\/Legal)\/.*(licen[cs]e|copyright-documents)/i));
+  const license = (licenseLink ? getLinkUrl(licenseLink) : null) ??
+    respecLicenses[config?.license?.toLowerCase?.()];
+  if (license) {
+    metadata.license = license;
+  }
+
+  return metadata;
+}
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * The crawl diff tool compares two crawl results and reports, per spec, the
+ * definitions, Web IDL names and members, CSS constructs, events, elements,
+ * headings and references that were added, removed or modified between the
+ * two crawls.
+ *
+ * The crawl diff tool can be called directly through:
+ *
+ * `node diff-crawls.js [old crawl] [new crawl] [format]`
+ *
+ * where:
+ * - `old crawl` is the local path to the root folder that contains the
+ * `index.json` and the extracts of the reference crawl (e.g. `reports/old`)
+ * - `new crawl` is the local path to the root folder that contains the
+ * `index.json` and the extracts of the crawl to compare with the reference one
+ * - `format` is the optional output format. Either `json` or `markdown` with
+ * `json` being the default.
+ *
+ * @module differ
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import { parse as parseIdl } from './parse-webidl.js';
+import { expandCrawlResult, loadJSON } from '../lib/util.js';
+import { generateDiffReport } from '../lib/markdown-report.js';
+
+
+/**
+ * List of crawl result properties that the diff tool needs to expand
+ */
+const diffProperties = [
+    'attributes', 'css', 'dfns', 'elements', 'events', 'headings',
+    'idl', 'idlparsed', 'refs'
+];
+
+
+/**
+ * Categories of items that get compared, in the order in which they get
+ * reported. For each category, the "list" function returns the items found in
+ * the prepared spec crawl result (see prepareSpec), the "key" function returns
+ * the key used to match items across crawls, and the "describe" function
+ * returns a short description of the item with a "name", a "type" and an
+ * "href" (when known). The optional "normalize" function drops the parts of
+ * an item that should not be taken into account to detect modifications.
+ */
+const categories = {
+    dfns: {
+        list: spec => spec.dfns,
+        key: dfn => dfn.href,
+        describe: dfn => ({
+            name: dfn.linkingText[0],
+            type: dfn.type,
+            href: dfn.href
+        })
+    },
+    idlNames: {
+        list: spec => Object.values(spec.parsedIdl?.idlNames ?? {}),
+        key: idl => idl.name,
+        describe: idl => ({ name: idl.name, type: idl.type, href: idl.href }),
+        // Changes to members are reported separately, and the raw IDL fragment
+        // changes whenever a member changes
+        normalize: idl => Object.assign({}, idl, {
+            fragment: undefined,
+            members: undefined,
+            values: undefined
+        })
+    },
+    idlMembers: {
+        list: spec => getIdlMembers(spec.parsedIdl),
+        key: member => member.key,
+        describe: member => ({
+            name: member.key,
+            type: member.type,
+            href: member.href
+        })
+    },
+    cssProperties: {
+        list: spec => spec.css?.properties,
+        key: prop => prop.name,
+        describe: prop => ({ name: prop.name, type: 'css-property', href: prop.href }),
+        normalize: normalizeCss
+    },
+    cssAtrules: {
+        list: spec => spec.css?.atrules,
+        key: rule => rule.name,
+        describe: rule => ({ name: rule.name, type: 'css-at-rule', href: rule.href }),
+        normalize: normalizeCss
+    },
+    cssSelectors: {
+        list: spec => spec.css?.selectors,
+        key: selector => selector.name,
+        describe: selector => ({ name: selector.name, type: 'css-selector', href: selector.href }),
+        normalize: normalizeCss
+    },
+    events: {
+        list: spec => spec.events,
+        key: event => event.type +
+            (event.interface ? ` (${event.interface})` : ''),
+        describe: event => ({ name: event.type, type: 'event', href: event.href })
+    },
+    elements: {
+        list: spec => spec.elements,
+        key: element => element.name,
+        describe: element => ({ name: element.name, type: 'element', href: element.href })
+    },
+    attributes: {
+        list: spec => spec.attributes,
+        key: attr => attr.href,
+        describe: attr => ({ name: attr.name, type: 'element-attr', href: attr.href })
+    },
+    headings: {
+        list: spec => spec.headings,
+        key: heading => heading.href,
+        describe: heading => ({
+            name: (heading.number ? heading.number + '. ' : '') + heading.title,
+            type: 'heading',
+            href: heading.href
+        })
+    },
+    refs: {
+        list: spec => []
+            .concat((spec.refs?.normative ?? []).map(ref =>
+                Object.assign({ normative: true }, ref)))
+            .concat((spec.refs?.informative ?? []).map(ref =>
+                Object.assign({ normative: false }, ref))),
+        key: ref => ref.name,
+        describe: ref => ({ name: ref.name, type: 'reference', href: ref.url })
+    }
+};
+
+
+/**
+ * Drop the CSS properties that are not saved to CSS extracts
+ */
+function normalizeCss(value) {
+    return Object.assign({}, value, {
+        parsedValue: undefined,
+        valueParseError: undefined
+    });
+}
+
+
+/**
+ * Return the flat list of IDL members defined in the given parsed IDL
+ * structure, including members defined in partials, with a "key" property
+ * that identifies the member as "[name].[member]".
+ *
+ * @function
+ * @private
+ * @param {Object} parsedIdl Parsed IDL structure, as returned by the IDL parser
+ * @return {Array(Object)} List of members
+ */
+function getIdlMembers(parsedIdl) {
+    if (!parsedIdl) {
+        return [];
+    }
+    const defs = Object.values(parsedIdl.idlNames)
+        .concat(Object.values(parsedIdl.idlExtendedNames).flat());
+    const members = [];
+    for (const def of defs) {
+        for (const member of def.members ?? []) {
+            let name = member.name || member.special || member.type;
+            if (member.type === 'operation' || member.type === 'constructor') {
+                name += '()';
+            }
+            members.push(Object.assign({ key: `${def.name}.${name}` }, member));
+        }
+        for (const value of def.values ?? []) {
+            members.push(Object.assign(
+                { key: `${def.name}."${value.value}"` }, value));
+        }
+    }
+    return members;
+}
+
+
+/**
+ * Prepare the given spec crawl result for comparison, parsing its IDL when
+ * needed.
+ *
+ * @function
+ * @private
+ * @param {Object} spec Expanded spec crawl result
+ * @return {Promise(Object)} The promise to get a copy of the spec crawl result
+ *   with a "parsedIdl" property
+ */
+async function prepareSpec(spec) {
+    const res = Object.assign({}, spec);
+    if (spec.idlparsed && typeof spec.idlparsed !== 'string') {
+        res.parsedIdl = spec.idlparsed;
+    }
+    else if (spec.idl) {
+        try {
+            res.parsedIdl = await parseIdl(spec.idl);
+        }
+        catch {
+            // Invalid IDL, cannot compare IDL names and members
+        }
+    }
+    return res;
+}
+
+
+/**
+ * Compare two lists of items and return the items that were added, removed
+ * and modified.
+ *
+ * Items are matched through their key. When multiple items share the same key
+ * in a list, they are matched in order of appearance.
+ *
+ * @function
+ * @private
+ * @param {Array(Object)} oldList Items in the reference crawl
+ * @param {Array(Object)} newList Items in the new crawl
+ * @param {Object} category Category description (see categories)
+ * @return {Object} An object with "added", "removed" and "modified" lists
+ */
+function diffLists(oldList, newList, category) {
+    function index(list) {
+        const res = new Map();
+        for (const item of list ?? []) {
+            let key = category.key(item);
+            let counter = 1;
+            while (res.has(key)) {
+                counter += 1;
+                key = `${category.key(item)} (${counter})`;
+            }
+            res.set(key, item);
+        }
+        return res;
+    }
+
+    function serialize(item) {
+        return JSON.stringify(category.normalize ? category.normalize(item) : item);
+    }
+
+    const oldItems = index(oldList);
+    const newItems = index(newList);
+    const diff = { added: [], removed: [], modified: [] };
+    for (const [key, item] of newItems) {
+        if (!oldItems.has(key)) {
+            diff.added.push(Object.assign({ key }, category.describe(item), { value: item }));
+        }
+        else if (serialize(oldItems.get(key)) !== serialize(item)) {
+            diff.modified.push(Object.assign({ key }, category.describe(item), {
+                before: oldItems.get(key),
+                after: item
+            }));
+        }
+    }
+    for (const [key, item] of oldItems) {
+        if (!newItems.has(key)) {
+            diff.removed.push(Object.assign({ key }, category.describe(item), { value: item }));
+        }
+    }
+    return diff;
+}
+
+
+/**
+ * Compare the crawl results of a spec in two crawls.
+ *
+ * @function
+ * @public
+ * @param {Object} oldSpec Expanded spec crawl result in the reference crawl
+ * @param {Object} newSpec Expanded spec crawl result in the new crawl
+ * @return {Promise(Object)} The promise to get an object that contains, for
+ *   each category of items that changed, the lists of "added", "removed" and
+ *   "modified" items. The object is empty when nothing changed.
+ */
+async function diffSpecResults(oldSpec, newSpec) {
+    oldSpec = await prepareSpec(oldSpec);
+    newSpec = await prepareSpec(newSpec);
+    const changes = {};
+    for (const [name, category] of Object.entries(categories)) {
+        const diff = diffLists(category.list(oldSpec), category.list(newSpec), category);
+        if (diff.added.length || diff.removed.length || diff.modified.length) {
+            changes[name] = diff;
+        }
+    }
+    return changes;
+}
+
+
+/**
+ * Compare two expanded crawl results.
+ *
+ * Specs are matched through their shortname, or through their URL when they
+ * do not have a shortname.
+ *
+ * @function
+ * @public
+ * @param {Object} oldCrawl Expanded crawl index of the reference crawl
+ * @param {Object} newCrawl Expanded crawl index of the new crawl
+ * @return {Promise(Object)} The promise to get the diff between the crawls
+ */
+async function diffCrawlResults(oldCrawl, newCrawl) {
+    const getId = spec => spec.shortname ?? spec.url;
+    const describeSpec = spec => ({
+        shortname: spec.shortname,
+        title: spec.title,
+        url: spec.url
+    });
+
+    const oldResults = oldCrawl.results ?? [];
+    const newResults = newCrawl.results ?? [];
+    const diff = {
+        type: 'diff',
+        title: 'Reffy crawl diff',
+        date: (new Date()).toJSON(),
+        old: { date: oldCrawl.date, crawler: oldCrawl.crawler },
+        new: { date: newCrawl.date, crawler: newCrawl.crawler },
+        stats: {},
+        added: newResults
+            .filter(spec => !oldResults.find(s => getId(s) === getId(spec)))
+            .map(describeSpec),
+        removed: oldResults
+            .filter(spec => !newResults.find(s => getId(s) === getId(spec)))
+            .map(describeSpec),
+        results: []
+    };
+
+    for (const newSpec of newResults) {
+        const oldSpec = oldResults.find(s => getId(s) === getId(newSpec));
+        if (!oldSpec) {
+            continue;
+        }
+        const changes = await diffSpecResults(oldSpec, newSpec);
+        if (Object.keys(changes).length > 0) {
+            diff.results.push(Object.assign(describeSpec(newSpec), { changes }));
+        }
+    }
+
+    diff.stats = {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        modified: diff.results.length
+    };
+    return diff;
+}
+
+
+/**
+ * Load the crawl results in the given folders and compare them.
+ *
+ * @function
+ * @public
+ * @param {String} oldFolder The folder that contains the reference crawl
+ * @param {String} newFolder The folder that contains the new crawl
+ * @return {Promise(Object)} The promise to get the diff between the crawls
+ */
+async function diffCrawls(oldFolder, newFolder) {
+    async function loadCrawl(folder) {
+        const index = await loadJSON(path.join(folder, 'index.json'));
+        if (!index) {
+            throw new Error(`Could not load crawl index file in ${folder}`);
+        }
+        return expandCrawlResult(index, folder, diffProperties);
+    }
+
+    const oldCrawl = await loadCrawl(oldFolder);
+    const newCrawl = await loadCrawl(newFolder);
+    return diffCrawlResults(oldCrawl, newCrawl);
+}
+
+
+/**************************************************
+Export methods for use as module
+**************************************************/
+export {
+    diffCrawls,
+    diffCrawlResults,
+    diffSpecResults
+};
+
+
+/**************************************************
+Code run if the code is run as a stand-alone module
+**************************************************/
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const oldFolder = process.argv[2];
+    const newFolder = process.argv[3];
+    const format = process.argv[4] || 'json';
+    if (!oldFolder || !newFolder) {
+        console.error('Command needs 2 folder parameters:');
+        console.error(' 1. the folder that contains the reference crawl results');
+        console.error(' 2. the folder that contains the new crawl results');
+        process.exit(2);
+    }
+
+    const diff = await diffCrawls(oldFolder, newFolder);
+    if (format === 'markdown') {
+        console.log(generateDiffReport(diff));
+    }
+    else {
+        console.log(JSON.stringify(diff, null, 2));
+    }
+}
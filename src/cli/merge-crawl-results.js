@@ -18,7 +18,7 @@
 import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
-import { loadJSON } from '../lib/util.js';
+import { countErrorsByCode, loadJSON } from '../lib/util.js';
 
 
 /**
@@ -65,7 +65,8 @@ function mergeCrawlResults(newCrawl, refCrawl, options) {
     crawlData.results.sort(byURL);
     crawlData.stats = {
         crawled: crawlData.results.length,
-        errors: crawlData.results.filter(spec => !!spec.error).length
+        errors: crawlData.results.filter(spec => !!spec.error).length,
+        errorsByCode: countErrorsByCode(crawlData.results)
     };
 
     return Promise.resolve(crawlData);
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * The spec watcher crawls a local spec file, watches that file and the local
+ * files it includes for changes, and crawls the spec again after each change.
+ * After each crawl, it reports the definitions, Web IDL and CSS constructs
+ * that were added, removed or modified, along with CSS and IDL terms that no
+ * longer have a corresponding definition in the spec.
+ *
+ * The spec watcher is meant to be used by spec editors while they write a
+ * spec. It can be called directly through:
+ *
+ * `node watch-spec.js [file]`
+ *
+ * where `file` is the local path to the HTML file of the spec (e.g.
+ * `index.html`).
+ *
+ * @module watcher
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import process from 'node:process';
+import { crawlSpecs } from '../lib/specs-crawler.js';
+import { expandBrowserModules } from '../lib/util.js';
+import { diffSpecResults } from './diff-crawls.js';
+import { checkSpecDefinitions } from './check-missing-dfns.js';
+
+
+/**
+ * Categories of changes that the watcher reports (see diff-crawls.js)
+ */
+const watchedCategories = [
+    'dfns', 'idlNames', 'idlMembers',
+    'cssProperties', 'cssAtrules', 'cssSelectors'
+];
+
+
+/**
+ * Polling interval in ms when watching files. Polling is more robust than
+ * file system events, as editors typically save files through a rename.
+ */
+const pollInterval = 500;
+
+
+/**
+ * Return the list of local files that the given HTML file includes, directly
+ * or indirectly, through "data-include" attributes (as used in ReSpec specs)
+ * or through scripts.
+ *
+ * @function
+ * @public
+ * @param {String} file Path to the HTML file
+ * @return {Promise(Array(String))} The promise to get the list of absolute
+ *   paths to included files, not including the given file itself
+ */
+async function getLocalIncludes(file) {
+    const found = new Set();
+    const queue = [path.resolve(file)];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        let html;
+        try {
+            html = await fs.promises.readFile(current, 'utf8');
+        }
+        catch {
+            // Missing include, nothing to parse
+            continue;
+        }
+        const refs = [
+            ...html.matchAll(/\sdata-include\s*=\s*["']([^"']+)["']/gi),
+            ...html.matchAll(/<script[^>]*\ssrc\s*=\s*["']([^"']+)["']/gi)
+        ].map(match => match[1]);
+        for (const ref of refs) {
+            if (ref.match(/^[a-z][a-z0-9+\-.]*:/i) || ref.startsWith('//')) {
+                // Absolute URL, not a local include
+                continue;
+            }
+            const include = path.resolve(path.dirname(current),
+                decodeURIComponent(ref.split(/[?#]/)[0]));
+            if (!found.has(include) && include !== path.resolve(file)) {
+                found.add(include);
+                if (include.match(/\.html?$/i)) {
+                    queue.push(include);
+                }
+            }
+        }
+    }
+    return [...found];
+}
+
+
+/**
+ * Crawl the given local spec file.
+ *
+ * @function
+ * @private
+ * @param {String} file Path to the HTML file
+ * @param {Object} options Watch options (see watchSpec)
+ * @return {Promise(Object)} The promise to get the spec crawl result
+ */
+async function crawlFile(file, options) {
+    const url = pathToFileURL(path.resolve(file)).href;
+    const shortname = path.basename(file).replace(/\.html?$/i, '')
+        .replace(/[:\/\\\.]/g, '');
+    const index = await crawlSpecs({
+        specs: [{ url, nightly: { url }, shortname, series: { shortname } }],
+        modules: options.modules,
+        post: options.post,
+        output: '{return}',
+        quiet: true,
+        config: false
+    });
+    return index.results[0];
+}
+
+
+/**
+ * Compare two crawl results of the watched spec.
+ *
+ * @function
+ * @public
+ * @param {Object} previous Previous crawl result, null for the first crawl
+ * @param {Object} current Current crawl result
+ * @return {Promise(Object)} The promise to get an object with a "changes"
+ *   property that lists changes per category (see diff-crawls.js), and an
+ *   "anomalies" property with "css" and "idl" lists of terms that are not
+ *   defined in the spec and were not already reported for the previous crawl
+ */
+async function compareSpecCrawls(previous, current) {
+    const changes = {};
+    const diff = await diffSpecResults(previous ?? {}, current);
+    for (const category of watchedCategories) {
+        if (diff[category]) {
+            changes[category] = diff[category];
+        }
+    }
+
+    const serialize = missing => JSON.stringify(missing.expected);
+    const previousMissing = previous ?
+        await checkSpecDefinitions(previous, { includeObsolete: true }) :
+        {};
+    const currentMissing = await checkSpecDefinitions(current, { includeObsolete: true });
+    const anomalies = {};
+    for (const type of ['css', 'idl']) {
+        const known = new Set((previousMissing[type] ?? []).map(serialize));
+        anomalies[type] = (currentMissing[type] ?? [])
+            .filter(missing => !known.has(serialize(missing)));
+    }
+    return { changes, anomalies };
+}
+
+
+/**
+ * Format the comparison report as concise text for the console.
+ *
+ * @function
+ * @public
+ * @param {Object} report Comparison report, as returned by compareSpecCrawls
+ * @param {Object} options Format options. Set the "summary" flag to only
+ *   report the number of changes per category, and not the changes
+ *   themselves.
+ * @return {String} Text report
+ */
+function formatWatchReport(report, options = {}) {
+    const lines = [];
+    for (const [category, diff] of Object.entries(report.changes)) {
+        lines.push(`${category}: +${diff.added.length} -${diff.removed.length} ~${diff.modified.length}`);
+        if (options.summary) {
+            continue;
+        }
+        for (const item of diff.added) {
+            lines.push(`  + ${item.name}` + (item.type ? ` (${item.type})` : ''));
+        }
+        for (const item of diff.removed) {
+            lines.push(`  - ${item.name}` + (item.type ? ` (${item.type})` : ''));
+        }
+        for (const item of diff.modified) {
+            lines.push(`  ~ ${item.name}` + (item.type ? ` (${item.type})` : ''));
+        }
+    }
+    const anomalies = report.anomalies.css.concat(report.anomalies.idl);
+    if (anomalies.length > 0) {
+        lines.push('New missing definitions:');
+        for (const missing of anomalies) {
+            const exp = missing.expected;
+            lines.push(`  ! ${exp.linkingText[0]}` +
+                (exp.type ? ` (${exp.type})` : '') +
+                (exp.for?.length ? ` for ${exp.for.join(', ')}` : ''));
+        }
+    }
+    if (lines.length === 0) {
+        lines.push('No change in dfns, IDL or CSS, no new missing definition');
+    }
+    return lines.join('\n');
+}
+
+
+/**
+ * Crawl the given local spec file, and crawl it again each time it or one of
+ * the local files it includes changes, reporting changes to the console.
+ *
+ * @function
+ * @public
+ * @param {String} file Path to the HTML file of the spec
+ * @param {Object} options Watch options. The "modules" and "post" options
+ *   set the processing and post-processing modules to run, as in crawl
+ *   options. The "idlparsed" post-processing module always runs when the
+ *   "idl" processing module runs, to detect missing IDL definitions. The
+ *   "log" option sets the function to call to report results (defaults to
+ *   console.log).
+ * @return {Promise(Object)} The promise to get a watcher object once the
+ *   initial crawl is over. The watcher has a "close" function to stop
+ *   watching files.
+ */
+async function watchSpec(file, options) {
+    options = Object.assign({}, options);
+    options.modules = expandBrowserModules(options.modules);
+    options.post = options.post ?? [];
+    if (options.modules.find(mod => mod.property === 'idl') &&
+            !options.post.includes('idlparsed')) {
+        options.post = options.post.concat('idlparsed');
+    }
+    const log = options.log ?? console.log;
+
+    let previous = null;
+    let watched = [];
+    let running = null;
+    let pending = false;
+    let closed = false;
+
+    async function run(reason) {
+        const start = Date.now();
+        const time = (new Date()).toLocaleTimeString();
+        log(`[${time}] ${reason}, crawling ${file}...`);
+        let current;
+        try {
+            current = await crawlFile(file, options);
+        }
+        catch (err) {
+            log(`Crawl failed: ${err.message}`);
+            return;
+        }
+        const duration = ((Date.now() - start) / 1000).toFixed(1);
+        if (current.error) {
+            log(`Crawl failed in ${duration}s: ${current.error.message ?? current.error}`);
+            return;
+        }
+        log(`Crawled in ${duration}s`);
+        // No need to list everything that the spec defines on first crawl
+        log(formatWatchReport(await compareSpecCrawls(previous, current),
+            { summary: !previous }));
+        previous = current;
+    }
+
+    async function updateWatchedFiles() {
+        const files = [path.resolve(file)].concat(await getLocalIncludes(file));
+        for (const watchedFile of watched.filter(f => !files.includes(f))) {
+            fs.unwatchFile(watchedFile, onChange);
+        }
+        for (const newFile of files.filter(f => !watched.includes(f))) {
+            fs.watchFile(newFile, { interval: pollInterval }, onChange);
+        }
+        watched = files;
+    }
+
+    async function crawlAndWatch(reason) {
+        await run(reason);
+        if (!closed) {
+            await updateWatchedFiles();
+        }
+    }
+
+    function onChange(curr, prev) {
+        if (closed || curr.mtimeMs === prev.mtimeMs) {
+            return;
+        }
+        if (running) {
+            // Crawl again once the ongoing crawl is over
+            pending = true;
+            return;
+        }
+        running = crawlAndWatch('Change detected')
+            .then(async function next() {
+                if (pending && !closed) {
+                    pending = false;
+                    return crawlAndWatch('Change detected').then(next);
+                }
+            })
+            .finally(() => running = null);
+    }
+
+    running = crawlAndWatch('Initial crawl').finally(() => running = null);
+    await running;
+
+    return {
+        close: async () => {
+            closed = true;
+            for (const watchedFile of watched) {
+                fs.unwatchFile(watchedFile, onChange);
+            }
+            watched = [];
+            await running;
+        }
+    };
+}
+
+
+/**************************************************
+Export methods for use as module
+**************************************************/
+export {
+    watchSpec,
+    compareSpecCrawls,
+    formatWatchReport,
+    getLocalIncludes
+};
+
+
+/**************************************************
+Code run if the code is run as a stand-alone module
+**************************************************/
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Command needs the path to the HTML file of the spec to watch');
+        process.exit(2);
+    }
+
+    const watcher = await watchSpec(file);
+    process.on('SIGINT', async () => {
+        await watcher.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,424 @@
+/**
+ * The database exporter writes crawl results to an SQLite database, so that
+ * crawl results can be queried with SQL.
+ *
+ * The database contains one table per type of construct (definitions, links,
+ * references, IDL names and members, CSS constructs, events, elements and
+ * headings), along with a "specs" table. Each row links back to the spec that
+ * contains the construct through a "spec" column. Lists of values (linking
+ * texts of a definition, "for" values, event targets) are stored in separate
+ * tables.
+ *
+ * Tables for IDL names and members are filled from the "idlparsed" property,
+ * which the "idlparsed" post-processing module creates. Includes statements
+ * do not define names, they are stored in a separate "idl_includes" table.
+ *
+ * The exporter uses the SQLite module of Node.js, which is still experimental.
+ *
+ * @module database
+ */
+
+import fs from 'node:fs';
+import { expandSpecResult } from './util.js';
+
+
+/**
+ * Version of the database schema, stored in the "user_version" pragma
+ */
+const schemaVersion = 1;
+
+
+/**
+ * Database schema
+ */
+const tables = `
+CREATE TABLE specs (
+    id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL,
+    shortname TEXT,
+    series TEXT,
+    title TEXT,
+    crawled TEXT,
+    nightly TEXT,
+    release TEXT,
+    error TEXT
+);
+CREATE TABLE dfns (
+    id INTEGER PRIMARY KEY,
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    href TEXT NOT NULL,
+    type TEXT NOT NULL,
+    access TEXT,
+    informative INTEGER,
+    defined_in TEXT
+);
+CREATE TABLE dfn_texts (
+    dfn INTEGER NOT NULL REFERENCES dfns(id),
+    text TEXT NOT NULL,
+    local INTEGER NOT NULL
+);
+CREATE TABLE dfn_for (
+    dfn INTEGER NOT NULL REFERENCES dfns(id),
+    value TEXT NOT NULL
+);
+CREATE TABLE links (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    type TEXT NOT NULL,
+    url TEXT NOT NULL,
+    anchor TEXT
+);
+CREATE TABLE refs (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    type TEXT NOT NULL,
+    name TEXT NOT NULL,
+    url TEXT
+);
+CREATE TABLE idl_names (
+    id INTEGER PRIMARY KEY,
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    partial INTEGER NOT NULL,
+    inheritance TEXT,
+    href TEXT,
+    fragment TEXT
+);
+CREATE TABLE idl_members (
+    idl INTEGER NOT NULL REFERENCES idl_names(id),
+    name TEXT,
+    type TEXT NOT NULL,
+    special TEXT,
+    href TEXT
+);
+CREATE TABLE idl_includes (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    target TEXT NOT NULL,
+    mixin TEXT NOT NULL,
+    href TEXT,
+    fragment TEXT
+);
+CREATE TABLE idl_exposed (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    global TEXT NOT NULL,
+    name TEXT NOT NULL
+);
+CREATE TABLE css (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    category TEXT NOT NULL,
+    name TEXT NOT NULL,
+    for_name TEXT,
+    href TEXT,
+    value TEXT
+);
+CREATE TABLE events (
+    id INTEGER PRIMARY KEY,
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    type TEXT NOT NULL,
+    interface TEXT,
+    bubbles INTEGER,
+    cancelable INTEGER,
+    href TEXT
+);
+CREATE TABLE event_targets (
+    event INTEGER NOT NULL REFERENCES events(id),
+    target TEXT NOT NULL
+);
+CREATE TABLE elements (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    name TEXT NOT NULL,
+    interface TEXT,
+    href TEXT,
+    obsolete INTEGER
+);
+CREATE TABLE headings (
+    spec INTEGER NOT NULL REFERENCES specs(id),
+    id TEXT,
+    href TEXT NOT NULL,
+    title TEXT NOT NULL,
+    level INTEGER,
+    number TEXT
+);
+`;
+
+
+/**
+ * Database indexes, created once all rows have been inserted
+ */
+const indexes = `
+CREATE INDEX specs_shortname ON specs(shortname);
+CREATE INDEX dfns_spec ON dfns(spec);
+CREATE INDEX dfns_type ON dfns(type);
+CREATE INDEX dfn_texts_dfn ON dfn_texts(dfn);
+CREATE INDEX dfn_texts_text ON dfn_texts(text);
+CREATE INDEX dfn_for_dfn ON dfn_for(dfn);
+CREATE INDEX dfn_for_value ON dfn_for(value);
+CREATE INDEX links_spec ON links(spec);
+CREATE INDEX links_url ON links(url);
+CREATE INDEX refs_spec ON refs(spec);
+CREATE INDEX refs_name ON refs(name);
+CREATE INDEX idl_names_spec ON idl_names(spec);
+CREATE INDEX idl_names_name ON idl_names(name);
+CREATE INDEX idl_members_idl ON idl_members(idl);
+CREATE INDEX idl_members_name ON idl_members(name);
+CREATE INDEX idl_includes_target ON idl_includes(target);
+CREATE INDEX idl_includes_mixin ON idl_includes(mixin);
+CREATE INDEX idl_exposed_global ON idl_exposed(global);
+CREATE INDEX idl_exposed_name ON idl_exposed(name);
+CREATE INDEX css_spec ON css(spec);
+CREATE INDEX css_name ON css(name);
+CREATE INDEX events_spec ON events(spec);
+CREATE INDEX events_type ON events(type);
+CREATE INDEX event_targets_event ON event_targets(event);
+CREATE INDEX event_targets_target ON event_targets(target);
+CREATE INDEX elements_spec ON elements(spec);
+CREATE INDEX elements_name ON elements(name);
+CREATE INDEX headings_spec ON headings(spec);
+`;
+
+
+/**
+ * Convert a JavaScript value to a value that SQLite can store
+ */
+function sqlValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return value;
+}
+
+
+/**
+ * Prepare the insert statements for all tables. The returned functions take
+ * the list of values to insert, in column order, and return the ID of the
+ * inserted row.
+ */
+function prepareInserts(db) {
+    const inserts = {};
+    for (const [table, columns] of Object.entries({
+        specs: ['url', 'shortname', 'series', 'title', 'crawled', 'nightly', 'release', 'error'],
+        dfns: ['spec', 'href', 'type', 'access', 'informative', 'defined_in'],
+        dfn_texts: ['dfn', 'text', 'local'],
+        dfn_for: ['dfn', 'value'],
+        links: ['spec', 'type', 'url', 'anchor'],
+        refs: ['spec', 'type', 'name', 'url'],
+        idl_names: ['spec', 'name', 'type', 'partial', 'inheritance', 'href', 'fragment'],
+        idl_members: ['idl', 'name', 'type', 'special', 'href'],
+        idl_includes: ['spec', 'target', 'mixin', 'href', 'fragment'],
+        idl_exposed: ['spec', 'global', 'name'],
+        css: ['spec', 'category', 'name', 'for_name', 'href', 'value'],
+        events: ['spec', 'type', 'interface', 'bubbles', 'cancelable', 'href'],
+        event_targets: ['event', 'target'],
+        elements: ['spec', 'name', 'interface', 'href', 'obsolete'],
+        headings: ['spec', 'id', 'href', 'title', 'level', 'number']
+    })) {
+        const statement = db.prepare(
+            `INSERT INTO ${table} (${columns.join(', ')}) ` +
+            `VALUES (${columns.map(_ => '?').join(', ')})`);
+        inserts[table] = (...values) =>
+            statement.run(...values.map(sqlValue)).lastInsertRowid;
+    }
+    return inserts;
+}
+
+
+/**
+ * Insert the CSS constructs of the spec, including values nested in
+ * properties, descriptors and other values
+ */
+function insertCss(insert, specId, css) {
+    function insertValues(parent, values) {
+        for (const value of values ?? []) {
+            insert.css(specId, 'value', value.name, parent, value.href, value.value);
+        }
+    }
+    for (const prop of css.properties ?? []) {
+        insert.css(specId, 'property', prop.name, null, prop.href,
+            prop.value ?? prop.newValues);
+        insertValues(prop.name, prop.values);
+    }
+    for (const atrule of css.atrules ?? []) {
+        insert.css(specId, 'atrule', atrule.name, null, atrule.href, atrule.value);
+        for (const desc of atrule.descriptors ?? []) {
+            insert.css(specId, 'descriptor', desc.name, desc.for, desc.href, desc.value);
+            insertValues(desc.name, desc.values);
+        }
+        insertValues(atrule.name, atrule.values);
+    }
+    for (const selector of css.selectors ?? []) {
+        insert.css(specId, 'selector', selector.name, null, selector.href, selector.value);
+        insertValues(selector.name, selector.values);
+    }
+    for (const value of css.values ?? []) {
+        insert.css(specId, value.type === 'function' ? 'function' : 'type',
+            value.name, null, value.href, value.value);
+        insertValues(value.name, value.values);
+    }
+}
+
+
+/**
+ * Insert the IDL names, members, includes statements and exposure globals of
+ * the spec
+ */
+function insertIdl(insert, specId, idlparsed) {
+    function insertIdlName(def) {
+        if (def.type === 'includes') {
+            insert.idl_includes(specId, def.target, def.includes,
+                def.href, def.fragment);
+            return;
+        }
+        // Only interfaces, interface mixins, dictionaries and namespaces
+        // may be partial, other definitions have no "partial" property
+        const idlId = insert.idl_names(specId, def.name, def.type,
+            def.partial ? 1 : 0, def.inheritance, def.href, def.fragment);
+        for (const member of def.members ?? []) {
+            insert.idl_members(idlId, member.name || null, member.type,
+                member.special || null, member.href);
+        }
+        // Enum values are not members per se, but that is how people tend
+        // to look them up
+        for (const value of def.values ?? []) {
+            insert.idl_members(idlId, value.value, value.type, null, value.href);
+        }
+    }
+    for (const def of Object.values(idlparsed.idlNames ?? {})) {
+        insertIdlName(def);
+    }
+    for (const defs of Object.values(idlparsed.idlExtendedNames ?? {})) {
+        defs.forEach(insertIdlName);
+    }
+    for (const [global, names] of Object.entries(idlparsed.exposed ?? {})) {
+        for (const name of names) {
+            insert.idl_exposed(specId, global, name);
+        }
+    }
+}
+
+
+/**
+ * Insert a spec crawl result and its extracts in the database
+ */
+function insertSpec(insert, spec) {
+    const specId = insert.specs(spec.url, spec.shortname, spec.series?.shortname,
+        spec.title, spec.crawled, spec.nightly?.url, spec.release?.url,
+        spec.error?.message ?? spec.error);
+
+    for (const dfn of Array.isArray(spec.dfns) ? spec.dfns : []) {
+        const dfnId = insert.dfns(specId, dfn.href, dfn.type, dfn.access,
+            dfn.informative, dfn.definedIn);
+        for (const text of dfn.linkingText ?? []) {
+            insert.dfn_texts(dfnId, text, 0);
+        }
+        for (const text of dfn.localLinkingText ?? []) {
+            insert.dfn_texts(dfnId, text, 1);
+        }
+        for (const value of dfn.for ?? []) {
+            insert.dfn_for(dfnId, value);
+        }
+    }
+
+    for (const type of ['rawlinks', 'autolinks']) {
+        for (const [url, link] of Object.entries(spec.links?.[type] ?? {})) {
+            if (link.anchors?.length) {
+                for (const anchor of link.anchors) {
+                    insert.links(specId, type, url, anchor);
+                }
+            }
+            else {
+                insert.links(specId, type, url, null);
+            }
+        }
+    }
+
+    for (const type of ['normative', 'informative']) {
+        for (const ref of spec.refs?.[type] ?? []) {
+            insert.refs(specId, type, ref.name, ref.url);
+        }
+    }
+
+    if (spec.idlparsed && typeof spec.idlparsed === 'object') {
+        insertIdl(insert, specId, spec.idlparsed);
+    }
+
+    if (spec.css && typeof spec.css === 'object') {
+        insertCss(insert, specId, spec.css);
+    }
+
+    for (const event of Array.isArray(spec.events) ? spec.events : []) {
+        const eventId = insert.events(specId, event.type, event.interface,
+            event.bubbles, event.cancelable, event.href);
+        for (const target of event.targets ?? []) {
+            insert.event_targets(eventId, target);
+        }
+    }
+
+    for (const element of Array.isArray(spec.elements) ? spec.elements : []) {
+        insert.elements(specId, element.name, element.interface,
+            element.href, element.obsolete);
+    }
+
+    for (const heading of Array.isArray(spec.headings) ? spec.headings : []) {
+        insert.headings(specId, heading.id, heading.href, heading.title,
+            heading.level, heading.number);
+    }
+}
+
+
+/**
+ * Save crawl results to an SQLite database. The database file is replaced if
+ * it already exists.
+ *
+ * Specs are expanded and saved one at a time when crawl results link to
+ * extracts in a folder, to avoid loading the entire crawl in memory.
+ *
+ * @function
+ * @public
+ * @param {Object} crawl Crawl index object, with spec crawl results in a
+ *   "results" property
+ * @param {String} filename Path to the database file
+ * @param {String} baseFolder The folder that contains the extracts that
+ *   crawl results link to, if any
+ * @return {Promise} The promise to have saved the database
+ */
+async function saveCrawlToDatabase(crawl, filename, baseFolder) {
+    // Import the module only when needed, Node.js warns that the module is
+    // experimental when it gets imported
+    const { DatabaseSync } = await import('node:sqlite');
+
+    await fs.promises.rm(filename, { force: true });
+    const db = new DatabaseSync(filename);
+    try {
+        db.exec(tables);
+        db.exec(`PRAGMA user_version = ${schemaVersion}`);
+        const insert = prepareInserts(db);
+        for (const result of crawl.results) {
+            const spec = baseFolder ?
+                await expandSpecResult(Object.assign({}, result), baseFolder) :
+                result;
+            db.exec('BEGIN');
+            try {
+                insertSpec(insert, spec);
+                db.exec('COMMIT');
+            }
+            catch (err) {
+                db.exec('ROLLBACK');
+                throw new Error(`Could not save ${spec.url} to database`, { cause: err });
+            }
+        }
+        db.exec(indexes);
+    }
+    finally {
+        db.close();
+    }
+}
+
+
+/**************************************************
+Export methods for use as module
+**************************************************/
+export {
+    saveCrawlToDatabase
+};
@@ -257,7 +257,7 @@ function arrayInfo(value) {
 }
 
 function wrapTerm(term, type, href) {
-  if (type === 'abstract-op' || type === 'dfn') {
+  if (['abstract-op', 'dfn', 'heading', 'reference'].includes(type)) {
     if (href) {
       return `[${term}](${href})`;
     }
@@ -358,4 +358,100 @@ export async function generateSpecReport(specResult) {
     report.push(...details);
   }
   return report.join('\n');
-}
\ No newline at end of file
+}
+
+/**
+ * Labels (singular and plural) of the categories of items that the crawl diff
+ * tool compares, see src/cli/diff-crawls.js
+ */
+const diffLabels = {
+  dfns: ['term', 'terms'],
+  idlNames: ['Web IDL name', 'Web IDL names'],
+  idlMembers: ['Web IDL member', 'Web IDL members'],
+  cssProperties: ['CSS property', 'CSS properties'],
+  cssAtrules: ['CSS at-rule', 'CSS at-rules'],
+  cssSelectors: ['CSS selector', 'CSS selectors'],
+  events: ['event', 'events'],
+  elements: ['element', 'elements'],
+  attributes: ['content attribute', 'content attributes'],
+  headings: ['heading', 'headings'],
+  refs: ['reference', 'references']
+};
+
+
+/**
+ * Return a Markdown string that summarizes the changes between two crawls of
+ * a spec, as computed by the crawl diff tool.
+ */
+export function generateSpecDiffReport(specDiff) {
+  const summary = [];
+  const details = [];
+  for (const [category, changes] of Object.entries(specDiff.changes)) {
+    const labels = diffLabels[category] ?? [category, category];
+    const counts = ['added', 'removed', 'modified']
+      .map(type => changes[type].length > 0 ?
+        changes[type].length + ' ' + type :
+        null)
+      .filter(found => found)
+      .join(', ');
+    summary.push(`- ${labels[1].charAt(0).toUpperCase() + labels[1].slice(1)}: ${counts}`);
+
+    for (const type of ['added', 'removed', 'modified']) {
+      const items = changes[type];
+      if (items.length === 0) {
+        continue;
+      }
+      details.push('<details>');
+      details.push(`<summary>${items.length} ${labels[items.length > 1 ? 1 : 0]} ${type}</summary>`);
+      details.push('');
+      details.push(...items.map(item => '- ' + wrapTerm(item.name, item.type, item.href)));
+      details.push('</details>');
+    }
+  }
+
+  const report = [];
+  report.push('Diff summary:');
+  report.push(...summary);
+  if (details.length > 0) {
+    report.push('');
+    report.push(...details);
+  }
+  return report.join('\n');
+}
+
+
+/**
+ * Return a Markdown string that reports the changes between two crawls, as
+ * computed by the crawl diff tool.
+ */
+export function generateDiffReport(diff) {
+  const report = [];
+  report.push('# Crawl diff');
+  report.push('');
+  report.push(`- Reference crawl: ${diff.old.date ?? 'unknown date'}` +
+    (diff.old.crawler ? ` (${diff.old.crawler})` : ''));
+  report.push(`- New crawl: ${diff.new.date ?? 'unknown date'}` +
+    (diff.new.crawler ? ` (${diff.new.crawler})` : ''));
+  report.push(`- Specs added: ${diff.stats.added}`);
+  report.push(`- Specs removed: ${diff.stats.removed}`);
+  report.push(`- Specs modified: ${diff.stats.modified}`);
+
+  for (const type of ['added', 'removed']) {
+    if (diff[type].length === 0) {
+      continue;
+    }
+    report.push('');
+    report.push(`## Specs ${type}`);
+    report.push('');
+    report.push(...diff[type].map(spec =>
+      `- [${spec.title ?? spec.shortname}](${spec.url})`));
+  }
+
+  for (const spec of diff.results) {
+    report.push('');
+    report.push(`## ${spec.title ?? spec.shortname}`);
+    report.push('');
+    report.push(generateSpecDiffReport(spec));
+  }
+  return report.join('\n');
+}
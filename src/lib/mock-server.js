@@ -180,6 +180,19 @@ mockAgent
     }
   );
 
+mockAgent
+  .get("https://www.w3.org")
+  .intercept({ method: "GET", path: "/TR/iamflaky/" })
+  .reply(503, '', { headers: { "Retry-After": "0" } });
+
+mockAgent
+  .get("https://www.w3.org")
+  .intercept({ method: "GET", path: "/TR/iamflaky/" })
+  .reply(200,
+    `<html><title>Flaky but available</title>
+    <h1>Flaky but available</h1>`,
+    { headers: { "Content-Type": "text/html" } });
+
 mockAgent
   .get("https://drafts.csswg.org")
   .intercept({ method: "GET", path: "/server-hiccup/" })
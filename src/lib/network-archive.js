@@ -0,0 +1,271 @@
+/**
+ * The network archive records the network requests sent during a crawl, along
+ * with their responses, and can serve them back later on, so that a crawl can
+ * be reproduced without any network access.
+ *
+ * The archive is a newline-delimited JSON file: each line is an entry in the
+ * HTTP Archive (HAR) 1.2 format. Entries are appended to the file as soon as
+ * responses are received, so that recording a large crawl does not require
+ * keeping all responses in memory. Response bodies are stored as
+ * base64-encoded strings.
+ *
+ * Requests are matched on their method, URL and body. Request headers are not
+ * taken into account, and the archive serves one response per request (the
+ * last one recorded).
+ *
+ * @module archive
+ */
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+
+/**
+ * HTTP statuses for which responses cannot have a body
+ */
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+
+
+/**
+ * Return the key used to match a request in the archive
+ */
+function getKey(method, url, body) {
+    return `${method.toUpperCase()} ${url}` + (body ? `\n${body}` : '');
+}
+
+
+/**
+ * Convert a list of headers in HAR format to a Headers object
+ */
+function toHeaders(list) {
+    const headers = new Headers();
+    for (const { name, value } of list ?? []) {
+        try {
+            headers.append(name, value);
+        }
+        catch {
+            // Headers that Node.js rejects cannot be served back in any case
+        }
+    }
+    return headers;
+}
+
+
+/**
+ * The NetworkArchive class records and replays network requests. An archive
+ * either runs in "record" mode or in "replay" mode. Use the static "create"
+ * and "load" functions to get an archive in each mode.
+ */
+export default class NetworkArchive {
+    mode = 'record';
+    entries = new Map();
+    file = null;
+    pendingWrite = Promise.resolve();
+
+    constructor(mode = 'record') {
+        if (!['record', 'replay'].includes(mode)) {
+            throw new Error(`Invalid network archive mode "${mode}", must be "record" or "replay"`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Create a network archive in "record" mode that appends entries to the
+     * given file. The file is truncated if it already exists.
+     *
+     * @function
+     * @param {String} filename Path to the archive file
+     * @return {Promise(NetworkArchive)} The promise to get an archive in
+     *   "record" mode
+     */
+    static async create(filename) {
+        const archive = new NetworkArchive('record');
+        try {
+            archive.file = await fs.promises.open(filename, 'w');
+        }
+        catch (err) {
+            throw new Error(`Could not create network archive ${filename}`, { cause: err });
+        }
+        return archive;
+    }
+
+    /**
+     * Load the network archive saved in the given file, for replay.
+     *
+     * The file is read line by line. When the archive contains more than one
+     * entry for a request, the last one wins.
+     *
+     * @function
+     * @param {String} filename Path to the archive file
+     * @return {Promise(NetworkArchive)} The promise to get an archive in
+     *   "replay" mode
+     */
+    static async load(filename) {
+        const archive = new NetworkArchive('replay');
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filename, 'utf8'),
+            crlfDelay: Infinity
+        });
+        let lineNumber = 0;
+        try {
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) {
+                    continue;
+                }
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                }
+                catch {
+                    entry = null;
+                }
+                if (!entry?.request?.url || !entry?.response) {
+                    throw new Error(`Invalid network archive ${filename}, expected a HAR entry on line ${lineNumber}`);
+                }
+                const key = getKey(entry.request.method, entry.request.url,
+                    entry.request.postData?.text);
+                archive.entries.set(key, entry);
+            }
+        }
+        catch (err) {
+            if (err.message.startsWith('Invalid network archive')) {
+                throw err;
+            }
+            throw new Error(`Could not load network archive ${filename}`, { cause: err });
+        }
+        return archive;
+    }
+
+    /**
+     * Append the given entry to the archive file. Writes are chained so that
+     * concurrent requests do not interleave their entries.
+     *
+     * @function
+     * @private
+     * @param {Object} entry The HAR entry to record
+     * @return {Promise} The promise to have written the entry
+     */
+    append(entry) {
+        if (!this.file) {
+            throw new Error('Network archive is not open for recording');
+        }
+        const line = JSON.stringify(entry) + '\n';
+        this.pendingWrite = this.pendingWrite.then(() => this.file.write(line));
+        return this.pendingWrite;
+    }
+
+    /**
+     * Close the archive file, once all entries have been written. The
+     * function does nothing for archives in "replay" mode.
+     *
+     * @function
+     * @return {Promise} The promise to have closed the archive
+     */
+    async close() {
+        if (!this.file) {
+            return;
+        }
+        const file = this.file;
+        this.file = null;
+        try {
+            await this.pendingWrite;
+        }
+        finally {
+            await file.close();
+        }
+    }
+
+    /**
+     * Fetch the given URL, recording the response in the archive in "record"
+     * mode, or serving the response from the archive in "replay" mode.
+     *
+     * In "replay" mode, the function throws an error if the request is not in
+     * the archive.
+     *
+     * @function
+     * @param {String} url URL to fetch
+     * @param {Object} options Fetch options. The "method" and "body" options
+     *   (which must be a string if set) are used to match the request.
+     * @param {function} fetchFunction The fetch function to use to send the
+     *   request in "record" mode
+     * @return {Promise(Response)} Promise to get an HTTP response
+     */
+    async fetch(url, options, fetchFunction) {
+        options = options ?? {};
+        const method = (options.method ?? 'GET').toUpperCase();
+        const key = getKey(method, url, options.body);
+
+        if (this.mode === 'replay') {
+            const entry = this.entries.get(key);
+            if (!entry) {
+                throw new Error(`No response recorded for ${method} ${url} in network archive`);
+            }
+            const status = entry.response.status;
+            const content = entry.response.content ?? {};
+            const body = nullBodyStatuses.includes(status) ? null :
+                Buffer.from(content.text ?? '',
+                    content.encoding === 'base64' ? 'base64' : 'utf8');
+            return new Response(body, {
+                status,
+                statusText: entry.response.statusText ?? '',
+                headers: toHeaders(entry.response.headers)
+            });
+        }
+
+        const response = await fetchFunction(url, options);
+        const body = Buffer.from(await response.arrayBuffer());
+        const headers = [];
+        response.headers.forEach((value, name) => {
+            headers.push({ name, value });
+        });
+
+        const request = {
+            method,
+            url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            queryString: [],
+            headersSize: -1,
+            bodySize: options.body ? Buffer.byteLength(options.body) : 0
+        };
+        if (options.body) {
+            request.postData = {
+                mimeType: toHeaders(Object.entries(options.headers ?? {})
+                    .map(([name, value]) => ({ name, value })))
+                    .get('content-type') ?? '',
+                text: options.body
+            };
+        }
+        await this.append({
+            startedDateTime: (new Date()).toJSON(),
+            time: 0,
+            request,
+            response: {
+                status: response.status,
+                statusText: response.statusText ?? '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers,
+                content: {
+                    size: body.length,
+                    mimeType: response.headers.get('content-type') ?? '',
+                    text: body.toString('base64'),
+                    encoding: 'base64'
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: body.length
+            },
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 }
+        });
+
+        return new Response(nullBodyStatuses.includes(response.status) ? null : body, {
+            status: response.status,
+            statusText: response.statusText ?? '',
+            headers: response.headers
+        });
+    }
+}
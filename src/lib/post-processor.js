@@ -315,6 +315,7 @@ Export post-processing functions
 const postProcessor = {
   modules: Object.keys(modules),
   loadModules,
+  getModule,
   run, save,
   extractsPerSeries,
   dependsOn,
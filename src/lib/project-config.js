@@ -0,0 +1,233 @@
+/**
+ * The project configuration module loads crawl settings from a project
+ * configuration file, typically checked in along with the code that runs the
+ * crawl, so that crawls can be reproduced.
+ *
+ * The project configuration file is either a `reffy.config.json` file, or a
+ * `reffy.config.mjs` file whose default export is the settings object (or a
+ * function that returns the settings object). Settings use the same names as
+ * the options of the `crawlSpecs` function, and get validated against the
+ * `schemas/files/project-config.json` schema.
+ *
+ * Relative paths in the settings (output folder, fallback data, modules,
+ * local spec files, spec list files, etc.) are interpreted as relative to the
+ * folder that contains the project configuration file.
+ *
+ * Settings get expanded in the same way as command-line options: "all" in
+ * "specs" expands to all known specs that are not discontinued, paths to
+ * JSON files in "specs" expand to the list of specs that these files
+ * contain, "core" in "post" expands to all core post-processing modules, and
+ * "property:href" strings in "modules" expand to module objects.
+ *
+ * @module config
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import specs from 'web-specs' with { type: 'json' };
+import postProcessor from './post-processor.js';
+import { getSchemaValidationFunction, loadJSON } from './util.js';
+
+
+/**
+ * Names of the project configuration files that the crawler looks for in the
+ * current working directory, in order of precedence
+ */
+const projectConfigFilenames = ['reffy.config.json', 'reffy.config.mjs'];
+
+
+/**
+ * Settings that contain a path to a file or folder
+ */
+const pathSettings = [
+    'output', 'outputDb', 'fallback', 'useCrawl', 'fromSnapshots',
+    'record', 'replay'
+];
+
+
+/**
+ * Convert the given path, relative to the given folder, to a path relative
+ * to the current working directory, which is how the crawler interprets
+ * paths.
+ *
+ * @function
+ * @private
+ * @param {String} folder Folder that contains the project configuration file
+ * @param {String} file Path to convert
+ * @return {String} Path relative to the current working directory
+ */
+function rebasePath(folder, file) {
+    const relative = path.relative(process.cwd(), path.resolve(folder, file));
+    return relative.startsWith('.') ? relative : './' + relative;
+}
+
+
+/**
+ * Expand the list of specs in the project configuration file, as done for
+ * the "--spec" command-line option.
+ *
+ * @function
+ * @private
+ * @param {Array} list List of specs in the project configuration file
+ * @param {String} folder Folder that contains the project configuration file
+ * @return {Promise(Array)} The promise to get the expanded list of specs
+ * @throws {Error} when a spec list file cannot be loaded
+ */
+async function expandSpecs(list, folder) {
+    const expanded = [];
+    for (const spec of list) {
+        if (spec === 'all') {
+            expanded.push(...specs
+                .filter(s => s.standing !== 'discontinued')
+                .map(s => s.shortname));
+        }
+        else if (typeof spec === 'string' && spec.endsWith('.json')) {
+            const file = rebasePath(folder, spec);
+            const specList = await loadJSON(file);
+            if (!Array.isArray(specList)) {
+                throw new Error(`Could not load list of specs from ${file}`);
+            }
+            expanded.push(...specList);
+        }
+        else if (typeof spec === 'string' && spec.endsWith('.html') &&
+                !URL.canParse(spec)) {
+            expanded.push(rebasePath(folder, spec));
+        }
+        else {
+            expanded.push(spec);
+        }
+    }
+    return expanded;
+}
+
+
+/**
+ * Load the project configuration file.
+ *
+ * @function
+ * @public
+ * @param {String} filename Path to the project configuration file. When not
+ *   set, the function looks for a `reffy.config.json` or `reffy.config.mjs`
+ *   file in the current working directory.
+ * @return {Promise(Object)} The promise to get an object with a "filename"
+ *   property set to the absolute path of the project configuration file, and
+ *   a "settings" property set to the crawl settings it defines. The promise
+ *   resolves to null if no filename was given and there is no project
+ *   configuration file in the current working directory.
+ * @throws {Error} when the project configuration file cannot be loaded or
+ *   contains invalid settings
+ */
+async function loadProjectConfig(filename) {
+    if (!filename) {
+        filename = projectConfigFilenames.find(name => fs.existsSync(name));
+        if (!filename) {
+            return null;
+        }
+    }
+    filename = path.resolve(filename);
+
+    let settings;
+    if (filename.endsWith('.mjs')) {
+        try {
+            const module = await import(pathToFileURL(filename));
+            settings = typeof module.default === 'function' ?
+                await module.default() :
+                module.default;
+        }
+        catch (err) {
+            throw new Error(`Could not load project configuration file ${filename}: ${err.message}`);
+        }
+    }
+    else {
+        settings = await loadJSON(filename);
+    }
+    if (!settings) {
+        throw new Error(`Could not load project configuration file ${filename}`);
+    }
+
+    const validate = await getSchemaValidationFunction('project-config.json');
+    const errors = validate(settings);
+    if (errors) {
+        const details = errors
+            .map(err => `${err.instancePath || '/'} ${err.message}`)
+            .join(', ');
+        throw new Error(`Invalid project configuration file ${filename}: ${details}`);
+    }
+
+    // Make relative paths relative to the current working directory
+    settings = structuredClone(settings);
+    delete settings.$schema;
+    const folder = path.dirname(filename);
+    for (const setting of pathSettings) {
+        if (settings[setting] && settings[setting] !== '{return}') {
+            settings[setting] = rebasePath(folder, settings[setting]);
+        }
+    }
+    if (settings.specs) {
+        settings.specs = await expandSpecs(settings.specs, folder);
+    }
+    settings.modules = settings.modules?.map(mod => {
+        if (typeof mod === 'string') {
+            const parts = mod.split(':');
+            if (parts.length === 2) {
+                return { property: parts[0], href: rebasePath(folder, parts[1]) };
+            }
+            return mod.endsWith('.mjs') ? rebasePath(folder, mod) : mod;
+        }
+        return Object.assign({}, mod, { href: rebasePath(folder, mod.href) });
+    });
+    settings.post = settings.post?.map(mod => {
+        if (mod === 'core') {
+            return postProcessor.modules;
+        }
+        return mod.match(/\.m?js$/) ? rebasePath(folder, mod) : mod;
+    }).flat();
+    for (const setting of ['modules', 'post']) {
+        if (!settings[setting]) {
+            delete settings[setting];
+        }
+    }
+
+    return { filename, settings };
+}
+
+
+/**
+ * Merge crawl settings from the project configuration file with the given
+ * crawl options.
+ *
+ * Crawl options take precedence over settings from the project configuration
+ * file, except when they are undefined. Object settings such as
+ * "sleepIntervals" or "retry" are merged key by key.
+ *
+ * @function
+ * @public
+ * @param {Object} settings Settings from the project configuration file
+ * @param {Object} options Crawl options
+ * @return {Object} Merged crawl options
+ */
+function mergeCrawlOptions(settings, options) {
+    const isObject = obj => !!obj && typeof obj === 'object' &&
+        Object.getPrototypeOf(obj) === Object.prototype;
+    const merged = Object.assign({}, settings);
+    for (const [key, value] of Object.entries(options ?? {})) {
+        if (value === undefined) {
+            continue;
+        }
+        merged[key] = isObject(value) && isObject(merged[key]) ?
+            Object.assign({}, merged[key], value) :
+            value;
+    }
+    return merged;
+}
+
+
+/**************************************************
+Export methods for use as module
+**************************************************/
+export {
+    projectConfigFilenames,
+    loadProjectConfig,
+    mergeCrawlOptions
+};
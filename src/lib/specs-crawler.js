@@ -12,16 +12,25 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { inspect } from 'node:util';
+import { setTimeout as wait } from 'node:timers/promises';
 import specs from 'web-specs' with { type: 'json' };
 import postProcessor from './post-processor.js';
-import ThrottledQueue from './throttled-queue.js';
+import ThrottledQueue, { defaultOriginAliases, mergeOriginAliases } from './throttled-queue.js';
+import NetworkArchive from './network-archive.js';
 import { generateSpecReport } from './markdown-report.js';
+import { saveCrawlToDatabase } from './database.js';
+import { loadProjectConfig, mergeCrawlOptions } from './project-config.js';
+import { diffSpecResults } from '../cli/diff-crawls.js';
 import {
     completeWithAlternativeUrls,
+    countErrorsByCode,
+    crawlErrorCodes,
+    createCrawlError,
     expandBrowserModules,
     expandCrawlResult,
     expandSpecResult,
+    getBrowserPoolSettings,
+    getSchemaValidationFunction,
     isLatestLevelThatPasses,
     processSpecification,
     setupBrowser,
@@ -34,17 +43,97 @@ import {
 import packageConfig from '../../package.json' with { type: 'json' };
 const reffyVersion = packageConfig.version;
 
+/**
+ * Name of the journal file that the crawler creates in the output folder and
+ * appends spec crawl results to as soon as they are available. The journal
+ * makes it possible to resume an interrupted crawl (see the "resume" option).
+ */
+const journalFilename = 'crawl-journal.jsonl';
+
+/**
+ * Default throttling settings: maximum number of specs crawled in parallel,
+ * and time to wait (in ms) once a spec has been crawled before the next spec
+ * on the same origin may be crawled ("default" applies to all other origins).
+ * Origins are computed according to origin aliasing rules, see
+ * throttled-queue.js for default rules.
+ */
+const defaultThrottling = {
+    maxParallel: 4,
+    sleepIntervals: {
+        'https://csswg.org': 2000,
+        'https://www.w3.org': 1000,
+        default: 100
+    },
+    originAliases: defaultOriginAliases
+};
+
+/**
+ * Default retry policy when the crawl of a spec fails: number of retries,
+ * initial delay (in ms) before the first retry, multiplication factor applied
+ * to the delay for each subsequent retry, maximum delay beyond which the
+ * crawler gives up, codes of errors that may be retried and, for HTTP
+ * errors, the HTTP statuses that may be retried. Retries are disabled by
+ * default.
+ */
+const defaultRetryPolicy = {
+    count: 0,
+    delay: 1000,
+    factor: 2,
+    maxDelay: 120000,
+    on: ['network-error', 'http-error', 'respec-timeout', 'css-server-issue'],
+    statuses: [429, 500, 502, 503, 504]
+};
+
+/**
+ * Categories of changes reported when the published version of a spec lags
+ * behind its editor's draft (see diff-crawls.js)
+ */
+const lagCategories = [
+    'dfns', 'idlNames', 'idlMembers',
+    'cssProperties', 'cssAtrules', 'cssSelectors'
+];
+
+
+/**
+ * Expand the given fallback crawl result, including the snapshot of the spec
+ * if the fallback crawl saved one, so that it gets saved along with the other
+ * extracts.
+ *
+ * @function
+ * @param {Object} fallback Fallback crawl result
+ * @param {String} fallbackFolder The folder that contains fallback extracts
+ * @return {Promise<Object>} The promise to get an expanded copy of the
+ *   fallback crawl result
+ */
+async function expandFallback(fallback, fallbackFolder) {
+    const copy = Object.assign({}, fallback);
+    if (copy.snapshot) {
+        try {
+            copy.snapshot = await fs.promises.readFile(
+                path.join(fallbackFolder, copy.snapshot), 'utf8');
+        }
+        catch {
+            delete copy.snapshot;
+        }
+    }
+    return expandSpecResult(copy, fallbackFolder);
+}
+
 
 /**
  * Return the spec if crawl succeeded or crawl result from given fallback list
  * if crawl yielded an error (and fallback does exist).
  *
  * The function keeps the "error" property on the crawl result it returns so
- * that the error does not get entirely lost.
+ * that the error does not get entirely lost, and flags it with a "fallback"
+ * property.
+ *
+ * When the crawl succeeded but some modules failed, the function only
+ * replaces the extracts of the modules that failed with fallback extracts,
+ * and flags the module errors in "moduleErrors" with a "fallback" property.
  *
  * @function
  * @param {Object} spec Actual spec crawl result
- * * @param {Object} spec Actual spec crawl result
  * @param {String} fallbackFolder The folder that contains fallback extracts
  * @param {Array<Object>} fallbackData A list of crawl results to use as
  *   fallback when needed
@@ -55,16 +144,378 @@ async function specOrFallback(spec, fallbackFolder, fallbackData) {
     if (spec.error && fallbackData) {
         const fallback = fallbackData.find(s => s.url === spec.url);
         if (fallback) {
-            const copy = Object.assign({}, fallback);
-            const result = await expandSpecResult(copy, fallbackFolder);
-            result.error = spec.error;
+            const result = await expandFallback(fallback, fallbackFolder);
+            result.error = Object.assign({}, spec.error, { fallback: true });
+            if (spec.attempts) {
+                result.attempts = spec.attempts;
+            }
             return result;
         }
     }
+    else if (spec.moduleErrors && fallbackData) {
+        const fallback = fallbackData.find(s => s.url === spec.url);
+        const properties = Object.keys(spec.moduleErrors).filter(prop =>
+            fallback?.[prop] && !fallback.moduleErrors?.[prop]);
+        if (properties.length > 0) {
+            const result = await expandSpecResult(
+                Object.assign({}, fallback), fallbackFolder, properties);
+            for (const prop of properties) {
+                spec[prop] = result[prop];
+                spec.moduleErrors[prop] = Object.assign({},
+                    spec.moduleErrors[prop], { fallback: true });
+            }
+        }
+    }
     return spec;
 }
 
 
+/**
+ * Helper function to sleep for a specified number of milliseconds, unless the
+ * given signal gets aborted in the meantime
+ */
+function sleep(ms, signal) {
+    return wait(ms, 'slept', { signal });
+}
+
+
+/**
+ * Names of the progress events that the crawler emits (see crawlSpecs)
+ */
+const progressEvents = [
+    'crawl-start', 'spec-start', 'spec-retry', 'spec-error', 'spec-fallback',
+    'spec-done', 'post-start', 'post-end', 'crawl-done'
+];
+
+
+/**
+ * Check the emitter set in crawl options, if any. The emitter may be an
+ * EventEmitter, an EventTarget, or an object that maps event names to
+ * callback functions.
+ *
+ * @function
+ * @param {Object} emitter The emitter to check
+ * @throws {Error} when the emitter is invalid
+ */
+function checkEmitter(emitter) {
+    if (emitter === undefined || emitter === null ||
+            typeof emitter.emit === 'function' ||
+            typeof emitter.dispatchEvent === 'function') {
+        return;
+    }
+    if (typeof emitter !== 'object') {
+        throw new Error('Invalid emitter option, expected an EventEmitter, an EventTarget or an object with callbacks');
+    }
+    for (const [name, callback] of Object.entries(emitter)) {
+        if (!progressEvents.includes(name)) {
+            throw new Error(`Invalid emitter option, unknown progress event "${name}"`);
+        }
+        if (typeof callback !== 'function') {
+            throw new Error(`Invalid emitter option, callback for "${name}" is not a function`);
+        }
+    }
+}
+
+
+/**
+ * Emit a progress event through the emitter set in crawl options, if any
+ * (see crawlSpecs for the list of events).
+ *
+ * Errors thrown by listeners are reported as warnings and do not abort the
+ * crawl. Note that an EventTarget does not propagate errors thrown by its
+ * listeners to the caller of dispatchEvent.
+ */
+function emitProgress(crawlOptions, name, detail) {
+    const emitter = crawlOptions?.emitter;
+    if (!emitter) {
+        return;
+    }
+    try {
+        if (typeof emitter.emit === 'function') {
+            emitter.emit(name, detail);
+        }
+        else if (typeof emitter.dispatchEvent === 'function') {
+            emitter.dispatchEvent(new CustomEvent(name, { detail }));
+        }
+        else {
+            emitter[name]?.(detail);
+        }
+    }
+    catch (err) {
+        crawlOptions.quiet ?? console.warn(`[warn] Listener of "${name}" progress event failed`, err);
+    }
+}
+
+
+/**
+ * Return true if the crawl may be retried after the given error according to
+ * the given retry policy, regardless of the number of attempts already made.
+ *
+ * @function
+ * @param {Error} err The error thrown while processing the spec
+ * @param {Object} policy The retry policy
+ * @return {Boolean} true if the error is retryable
+ */
+function isRetryable(err, policy) {
+    if (!policy.on.includes(err?.code)) {
+        return false;
+    }
+    if (err.code === 'http-error' && !policy.statuses.includes(err.status)) {
+        return false;
+    }
+    return true;
+}
+
+
+/**
+ * Serialize the given crawl error into a structured object that can be saved
+ * to the crawl index.
+ *
+ * The object has a "code" property set to one of the known error codes (see
+ * crawlErrorCodes in util.js) or to "unknown-error", a "message" property and
+ * a "retryable" flag. It may also have "status", "module", "url" and "cause"
+ * properties when known.
+ *
+ * @function
+ * @param {Error} err The error thrown while processing the spec
+ * @param {Object} policy The retry policy
+ * @return {Object} Structured error
+ */
+function serializeError(err, policy) {
+    const res = {
+        code: crawlErrorCodes.includes(err?.code) ? err.code : 'unknown-error',
+        message: err?.message ?? String(err)
+    };
+    for (const prop of ['status', 'module', 'url']) {
+        if (err?.[prop] !== undefined) {
+            res[prop] = err[prop];
+        }
+    }
+    if (err?.cause) {
+        res.cause = err.cause.message ?? String(err.cause);
+    }
+    res.retryable = isRetryable(err, policy);
+    return res;
+}
+
+
+/**
+ * Return the delay in milliseconds to wait for before the next attempt, or
+ * null if the error cannot be retried according to the given retry policy.
+ *
+ * The delay grows exponentially with the number of attempts, unless the
+ * server responded with a "Retry-After" header, in which case that header
+ * gets honored. The error is not retried when the delay exceeds the maximum
+ * delay of the retry policy: there is no point retrying before the server
+ * said it would be available again. The delay is rounded to the nearest
+ * millisecond.
+ *
+ * @function
+ * @param {Error} err The error thrown by the last attempt
+ * @param {Number} attempt The number of attempts made so far
+ * @param {Object} policy The retry policy
+ * @return {Number|null} The delay to wait for before retrying, or null
+ */
+function getRetryDelay(err, attempt, policy) {
+    if (attempt > policy.count) {
+        return null;
+    }
+    if (!isRetryable(err, policy)) {
+        return null;
+    }
+
+    let delay = policy.delay * Math.pow(policy.factor, attempt - 1);
+    if (err.retryAfter && [429, 503].includes(err.status)) {
+        const seconds = Number(err.retryAfter);
+        delay = Number.isNaN(seconds) ?
+            Date.parse(err.retryAfter) - Date.now() :
+            seconds * 1000;
+        if (Number.isNaN(delay)) {
+            delay = policy.delay * Math.pow(policy.factor, attempt - 1);
+        }
+        delay = Math.max(delay, 0);
+    }
+    return delay <= policy.maxDelay ? Math.round(delay) : null;
+}
+
+
+/**
+ * Compute the retry policy to use for the crawl, merging the given retry
+ * settings with the default retry policy.
+ *
+ * @function
+ * @param {Object} retry Retry settings from crawl options (all optional)
+ * @return {Object} Retry policy
+ * @throws {Error} when one of the settings is invalid
+ */
+function getRetryPolicy(retry) {
+    const policy = Object.assign({}, defaultRetryPolicy, retry);
+    if (!Number.isInteger(policy.count) || policy.count < 0) {
+        throw new Error(`Invalid retry count "${policy.count}", must be a non-negative integer`);
+    }
+    for (const param of ['delay', 'factor', 'maxDelay']) {
+        if (typeof policy[param] !== 'number' || !(policy[param] >= 0)) {
+            throw new Error(`Invalid retry ${param} "${policy[param]}", must be a non-negative number`);
+        }
+    }
+    const unknownCode = (policy.on ?? []).find(code =>
+        !defaultRetryPolicy.on.includes(code));
+    if (!Array.isArray(policy.on) || unknownCode) {
+        throw new Error(`Invalid retryable error code "${unknownCode}", must be one of ${defaultRetryPolicy.on.join(', ')}`);
+    }
+    if (!Array.isArray(policy.statuses) ||
+            policy.statuses.some(status => !Number.isInteger(status))) {
+        throw new Error(`Invalid list of retryable HTTP statuses "${policy.statuses}"`);
+    }
+    return policy;
+}
+
+
+/**
+ * Load the snapshot of the given spec saved in a previous crawl.
+ *
+ * @function
+ * @param {Object} spec The spec whose snapshot needs to be loaded
+ * @param {Object} crawlOptions Crawl options. The "fromSnapshots" option
+ *   gives the folder of the previous crawl, and the "snapshotsIndex" option
+ *   the crawl index of that crawl.
+ * @return {Promise<Object>} The promise to get an object with the "url" at
+ *   which the snapshot was taken and the "html" of the snapshot
+ * @throws {Error} when the previous crawl did not save a snapshot of the spec
+ */
+async function loadSnapshot(spec, crawlOptions) {
+    const previous = crawlOptions.snapshotsIndex.results.find(s => s.url === spec.url);
+    if (!previous?.snapshot) {
+        throw new Error(`No snapshot of ${spec.url} in ${crawlOptions.fromSnapshots}`);
+    }
+    const html = await fs.promises.readFile(
+        path.join(crawlOptions.fromSnapshots, previous.snapshot), 'utf8');
+    return { url: previous.crawled, html };
+}
+
+
+/**
+ * Schema validation functions, indexed by schema name (see getValidator)
+ */
+const schemaValidators = new Map();
+
+
+/**
+ * Return the schema validation function for the given schema name, compiling
+ * the schema only once.
+ *
+ * @function
+ * @private
+ * @param {String} schemaName The name of the JSON schema to use, see
+ *   getSchemaValidationFunction in util.js
+ * @return {Promise<function>} The promise to get the validation function, or
+ *   null if there is no schema with that name
+ */
+async function getValidator(schemaName) {
+    if (!schemaValidators.has(schemaName)) {
+        schemaValidators.set(schemaName, getSchemaValidationFunction(schemaName));
+    }
+    return schemaValidators.get(schemaName);
+}
+
+
+/**
+ * Convert the given schema validation errors to validation warnings.
+ *
+ * @function
+ * @private
+ * @param {Array<Object>} errors Errors reported by Ajv
+ * @param {Object} details Properties to add to each warning, e.g. "module"
+ *   and "property"
+ * @return {Array<Object>} Validation warnings, with a "path" within the
+ *   extract and a human-readable "message"
+ */
+function toValidationWarnings(errors, details) {
+    return (errors ?? []).map(err => Object.assign({}, details, {
+        path: err.instancePath || '/',
+        message: err.message
+    }));
+}
+
+
+/**
+ * Validate the extracts in the given spec crawl result against the JSON
+ * schemas of the modules that produced them.
+ *
+ * Extracts get validated as they would be saved to files, i.e. wrapped in an
+ * object that also contains the title and URL of the spec. Extracts without
+ * a schema (e.g. metadata, IDL, or extracts of custom modules) are skipped.
+ *
+ * @function
+ * @private
+ * @param {Object} spec Spec crawl result, with full extracts
+ * @param {Object} crawlOptions Crawl options
+ * @return {Promise<Array<Object>>} The promise to get a list of validation
+ *   warnings. Each warning has a "module", a "property", a "path" within the
+ *   extract and a human-readable "message".
+ */
+async function validateSpecResult(spec, crawlOptions) {
+    const extracts = crawlOptions.modules
+        .filter(mod => !mod.metadata)
+        .map(mod => ({ module: mod.name, property: mod.property }))
+        .concat((crawlOptions.post ?? [])
+            .filter(mod => postProcessor.appliesAtLevel(mod, 'spec'))
+            .map(mod => postProcessor.getProperty(mod))
+            .filter(property => !crawlOptions.modules.find(mod => mod.property === property))
+            .map(property => ({ module: property, property })));
+
+    const warnings = [];
+    for (const { module, property } of extracts) {
+        const value = spec[property];
+        if (!value || (typeof value !== 'object')) {
+            continue;
+        }
+        const validate = await getValidator(property);
+        if (!validate) {
+            continue;
+        }
+        const base = { spec: { title: spec.title, url: spec.crawled } };
+        const contents = property === 'css' ?
+            // Same structure as in saveCss, without parsed values
+            JSON.parse(JSON.stringify(Object.assign(base, value), (key, val) =>
+                ['parsedValue', 'valueParseError'].includes(key) ? undefined : val)) :
+            Object.assign(base, { [property]: value });
+        warnings.push(...toValidationWarnings(validate(contents), { module, property }));
+    }
+    return warnings;
+}
+
+
+/**
+ * Validate the result of a post-processing module that runs at the crawl
+ * level against its JSON schema.
+ *
+ * Only modules that create a single extract named after their "property"
+ * (e.g. "events") have a schema for their result.
+ *
+ * @function
+ * @private
+ * @param {String|Object} mod The post-processing module
+ * @param {Object} result The result of running the module
+ * @return {Promise<Array<Object>>} The promise to get a list of validation
+ *   warnings, see validateSpecResult
+ */
+async function validatePostResult(mod, result) {
+    const property = postProcessor.getModule(mod).property;
+    if (!property || !result) {
+        return [];
+    }
+    const validate = await getValidator(`${property}.json`);
+    if (!validate) {
+        return [];
+    }
+    return toValidationWarnings(validate(result), {
+        module: postProcessor.getProperty(mod),
+        property
+    });
+}
+
+
 /**
  * Load and parse the given spec.
  *
@@ -82,6 +533,21 @@ async function crawlSpec(spec, crawlOptions) {
         spec.nightly;
     const fallbackFolder = crawlOptions.fallback ?
         path.dirname(crawlOptions.fallback) : '';
+    const retryPolicy = crawlOptions.retry ?? defaultRetryPolicy;
+
+    // History of failed attempts to crawl the spec, if any
+    const attempts = [];
+
+    // Performance metrics, if so requested
+    const crawlStart = Date.now();
+    const metrics = crawlOptions.metrics ? {} : null;
+
+    // Errors raised by individual browser modules, indexed by the name of the
+    // property that the modules would have set
+    let moduleErrors = null;
+
+    // Schema validation warnings, if so requested
+    let validationWarnings = null;
 
     try {
         const fallback = crawlOptions.fallbackData?.results?.find(s => s.url === spec.url);
@@ -106,35 +572,151 @@ async function crawlSpec(spec, crawlOptions) {
             result = {};
         }
         else {
-            result = await processSpecification(
-                urlToCrawl,
-                (spec, modules) => {
-                    const idToHeading = modules.find(m => m.needsIdToHeadingMap) ?
-                        window.reffy.mapIdsToHeadings() : null;
-                    const res = {
-                        crawled: window.location.toString()
-                    };
-                    modules.forEach(mod => {
-                        res[mod.property] = window.reffy[mod.name](spec, idToHeading);
+            // Load the snapshot saved in a previous crawl if so requested, or
+            // use the HTML content that the caller provided (see
+            // extractFromHtml)
+            let snapshot = null;
+            if (crawlOptions.html !== undefined) {
+                snapshot = { url: urlToCrawl.url, html: crawlOptions.html };
+            }
+            else if (crawlOptions.fromSnapshots) {
+                snapshot = await loadSnapshot(spec, crawlOptions);
+            }
+            while (!result) {
+                try {
+                    result = await processSpecification(
+                        snapshot ? { url: snapshot.url } : urlToCrawl,
+                        (spec, modules, withMetrics) => {
+                            const idToHeading = modules.find(m => m.needsIdToHeadingMap) ?
+                                window.reffy.mapIdsToHeadings() : null;
+                            const res = {
+                                crawled: window.location.toString()
+                            };
+                            if (withMetrics) {
+                                res.moduleMetrics = {};
+                            }
+                            for (const mod of modules) {
+                                try {
+                                    const start = performance.now();
+                                    res[mod.property] = window.reffy[mod.name](spec, idToHeading);
+                                    if (withMetrics) {
+                                        res.moduleMetrics[mod.property] =
+                                            Math.round(performance.now() - start);
+                                    }
+                                }
+                                catch (err) {
+                                    // Errors cannot be passed as such
+                                    // outside of the browser context. Record
+                                    // the error and move on to the next
+                                    // module, so that one failing module
+                                    // does not ruin other extracts.
+                                    if (!res.moduleErrors) {
+                                        res.moduleErrors = {};
+                                    }
+                                    res.moduleErrors[mod.property] = {
+                                        module: mod.name,
+                                        message: err.message ?? String(err)
+                                    };
+                                }
+                            }
+                            return res;
+                        },
+                        [spec, crawlOptions.modules, !!metrics],
+                        { quiet: crawlOptions.quiet,
+                          forceLocalFetch: crawlOptions.forceLocalFetch,
+                          userAgent: `Reffy/${reffyVersion}`,
+                          archive: crawlOptions.archive,
+                          saveSnapshot: crawlOptions.saveSnapshots,
+                          snapshot: snapshot?.html,
+                          signal: crawlOptions.signal,
+                          metrics: !!metrics,
+                          // Do not reuse cached responses when retrying
+                          refresh: attempts.length > 0 ? 'force' : undefined,
+                          ...cacheInfo}
+                    );
+                }
+                catch (err) {
+                    const delay = getRetryDelay(err, attempts.length + 1, retryPolicy);
+                    attempts.push(Object.assign(
+                        serializeError(err, retryPolicy),
+                        { retryDelay: delay ?? undefined }));
+                    if (delay === null || crawlOptions.signal?.aborted) {
+                        throw err;
+                    }
+                    crawlOptions.quiet ?? console.warn(`${spec.url} - attempt ${attempts.length} failed, retrying in ${delay}ms`);
+                    emitProgress(crawlOptions, 'spec-retry', {
+                        url: spec.url,
+                        shortname: spec.shortname,
+                        attempt: attempts.length,
+                        delay,
+                        error: attempts[attempts.length - 1]
                     });
-                    return res;
-                },
-              [spec, crawlOptions.modules],
-                { quiet: crawlOptions.quiet,
-                  forceLocalFetch: crawlOptions.forceLocalFetch,
-                  userAgent: `Reffy/${reffyVersion}`,
-                  ...cacheInfo}
-            );
+                    await sleep(delay, crawlOptions.signal);
+                }
+            }
+            if (metrics) {
+                Object.assign(metrics, result.metrics,
+                    { modules: result.moduleMetrics ?? {} });
+            }
+            if (result.moduleErrors) {
+                // Some modules failed. Record the errors but keep the
+                // extracts that other modules produced.
+                for (const [property, error] of Object.entries(result.moduleErrors)) {
+                    const err = createCrawlError('module-error',
+                        `Module ${error.module} failed on ${urlToCrawl.url}: ${error.message}`,
+                        { module: error.module, url: urlToCrawl.url });
+                    crawlOptions.quiet ?? console.warn(`${spec.url} - ${err.message}`);
+                    moduleErrors = moduleErrors ?? {};
+                    moduleErrors[property] = serializeError(err, retryPolicy);
+                }
+                delete result.moduleErrors;
+            }
             if (result.status === "notmodified" && fallback) {
               crawlOptions.quiet ?? console.warn(`skipping ${spec.url}, no change`);
-              const copy = Object.assign({}, fallback);
-              return expandSpecResult(copy, fallbackFolder);
+              emitProgress(crawlOptions, 'spec-fallback', {
+                  url: spec.url,
+                  shortname: spec.shortname,
+                  reason: 'notmodified'
+              });
+              return expandFallback(fallback, fallbackFolder);
             }
         }
 
         // Run post-processing modules at the spec level
         for (const mod of (crawlOptions.post ?? [])) {
-            await postProcessor.run(mod, result, crawlOptions);
+            const name = postProcessor.getProperty(mod);
+            const appliesToSpec = postProcessor.appliesAtLevel(mod, 'spec');
+            const start = Date.now();
+            if (appliesToSpec) {
+                emitProgress(crawlOptions, 'post-start',
+                    { module: name, level: 'spec', url: spec.url });
+            }
+            try {
+                await postProcessor.run(mod, result, crawlOptions);
+            }
+            catch (err) {
+                throw createCrawlError('module-error',
+                    `Post-processing module ${name} failed: ${err.message}`,
+                    { module: name, url: result.crawled, cause: err });
+            }
+            if (appliesToSpec) {
+                emitProgress(crawlOptions, 'post-end', {
+                    module: name, level: 'spec', url: spec.url,
+                    duration: Date.now() - start
+                });
+                if (metrics) {
+                    metrics.post = metrics.post ?? {};
+                    metrics.post[name] = Date.now() - start;
+                }
+            }
+        }
+
+        // Validate extracts against their JSON schemas if so requested
+        if (crawlOptions.validate) {
+            validationWarnings = await validateSpecResult(result, crawlOptions);
+            if (validationWarnings.length > 0) {
+                crawlOptions.quiet ?? console.warn(`${spec.url} - ${validationWarnings.length} schema validation warning(s)`);
+            }
         }
 
         // Copy results back into initial spec object
@@ -151,6 +733,9 @@ async function crawlSpec(spec, crawlOptions) {
             // Puppeteer is for the initial URL. We cannot rely on it!
             spec.crawlCacheInfo = result.crawlCacheInfo;
         }
+        if (result.snapshot) {
+            spec.snapshot = result.snapshot;
+        }
         crawlOptions.modules.forEach(mod => {
             if (result[mod.property]) {
                 spec[mod.property] = result[mod.property];
@@ -162,10 +747,24 @@ async function crawlSpec(spec, crawlOptions) {
                 spec[prop] = result[prop];
             }
         });
+        if (moduleErrors) {
+            spec.moduleErrors = moduleErrors;
+        }
+        if (validationWarnings?.length > 0) {
+            spec.validationWarnings = validationWarnings;
+        }
     }
     catch (err) {
         spec.title = spec.title || '[Could not be determined, see error]';
-        spec.error = inspect(err);
+        spec.error = serializeError(err, retryPolicy);
+    }
+    if (attempts.some(attempt => attempt.retryDelay !== undefined)) {
+        // Record the history of failed attempts when the crawl was retried
+        spec.attempts = attempts;
+    }
+    if (metrics) {
+        metrics.total = Date.now() - crawlStart;
+        spec.metrics = metrics;
     }
 
     return specOrFallback(spec, fallbackFolder, crawlOptions.fallbackData?.results);
@@ -333,10 +932,265 @@ async function saveSpecResults(spec, settings) {
         await postProcessor.save(mod, spec, settings);
     }
 
+    // Save snapshot of the generated DOM
+    if (spec.snapshot && !spec.snapshot.startsWith('snapshots/')) {
+        const folder = await getSubfolder('snapshots');
+        await fs.promises.writeFile(
+            path.join(folder, spec.shortname + '.html'), spec.snapshot);
+        spec.snapshot = `snapshots/${spec.shortname}.html`;
+    }
+
     return spec;
 }
 
 
+/**
+ * Compute the throttling settings to use for the crawl.
+ *
+ * Settings set in crawl options (which include settings of the project
+ * configuration file) take precedence over default settings. Per-origin
+ * sleep intervals and origin aliasing rules get merged with the defaults.
+ * Custom origin aliasing rules are tested before default ones, so that they
+ * win for hosts that default rules also match.
+ *
+ * @function
+ * @param {Object} crawlOptions Crawl options. The function looks at the
+ *   "maxParallel", "sleepIntervals" and "originAliases" options.
+ * @return {Object} Throttling settings with "maxParallel", "sleepIntervals"
+ *   and "originAliases" properties
+ * @throws {Error} when one of the settings is invalid
+ */
+function getThrottlingSettings(crawlOptions) {
+    const settings = {
+        maxParallel: crawlOptions.maxParallel ??
+            defaultThrottling.maxParallel,
+        sleepIntervals: Object.assign({},
+            defaultThrottling.sleepIntervals,
+            crawlOptions.sleepIntervals),
+        originAliases: mergeOriginAliases(
+            crawlOptions.originAliases,
+            defaultThrottling.originAliases)
+    };
+
+    if (!Number.isInteger(settings.maxParallel) || settings.maxParallel < 1) {
+        throw new Error(`Invalid maxParallel setting "${settings.maxParallel}", must be a positive integer`);
+    }
+    for (const [origin, interval] of Object.entries(settings.sleepIntervals)) {
+        if (typeof interval !== 'number' || !(interval >= 0)) {
+            throw new Error(`Invalid sleep interval "${interval}" for origin "${origin}", must be a non-negative number of milliseconds`);
+        }
+    }
+    for (const [alias, patterns] of Object.entries(settings.originAliases)) {
+        if (!Array.isArray(patterns) ||
+                patterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+            throw new Error(`Invalid aliasing rule for origin "${alias}", must be a list of host name patterns`);
+        }
+    }
+    return settings;
+}
+
+
+/**
+ * Load the spec crawl results recorded in the crawl journal if the "resume"
+ * setting is set. Delete the crawl journal otherwise to start afresh.
+ *
+ * Lines that cannot be parsed are ignored (the last line may typically be
+ * incomplete if the crawl got interrupted while it was being written).
+ *
+ * @function
+ * @param {Object} settings Crawl settings. The function looks at the "output"
+ *   and "resume" settings.
+ * @return {Promise<Array(Object)>} The promise to get the list of spec crawl
+ *   results recorded in the journal.
+ */
+async function loadJournal(settings) {
+    if (!shouldSaveToFile(settings)) {
+        return [];
+    }
+    const filename = path.join(settings.output, journalFilename);
+    if (!settings.resume) {
+        await fs.promises.rm(filename, { force: true });
+        return [];
+    }
+
+    let contents;
+    try {
+        contents = await fs.promises.readFile(filename, 'utf8');
+    }
+    catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+    return contents
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            }
+            catch {
+                return null;
+            }
+        })
+        .filter(spec => !!spec);
+}
+
+
+/**
+ * Return true if the given spec crawl result, recorded in the crawl journal,
+ * may be reused when the crawl is resumed.
+ *
+ * Results of specs that could not be crawled, or for which fallback data was
+ * used, are not reused: the problem that interrupted the crawl may well be
+ * what made the crawl of these specs fail.
+ *
+ * @function
+ * @param {Object} spec The spec crawl result recorded in the journal
+ * @return {Boolean} true if the result may be reused, false otherwise
+ */
+function isReusableResult(spec) {
+    const failed = result => !!result?.error ||
+        Object.values(result?.moduleErrors ?? {}).some(err => err?.fallback);
+    return !failed(spec) && !failed(spec.ed) && !failed(spec.tr);
+}
+
+
+/**
+ * Append the given spec crawl result to the crawl journal.
+ *
+ * @function
+ * @param {Object} spec The spec crawl result, once saved to files
+ * @param {Object} settings Crawl settings. The function does nothing if the
+ *   "output" setting is not set.
+ * @return {Promise<void>} The promise to have recorded the spec crawl result
+ */
+async function appendToJournal(spec, settings) {
+    if (!shouldSaveToFile(settings)) {
+        return;
+    }
+    const filename = path.join(settings.output, journalFilename);
+    await fs.promises.appendFile(filename, JSON.stringify(spec) + '\n', 'utf8');
+}
+
+
+/**
+ * Delete the crawl journal, typically once the crawl is over and the final
+ * index has been saved.
+ *
+ * @function
+ * @param {Object} settings Crawl settings
+ * @return {Promise<void>} The promise to have deleted the journal
+ */
+async function deleteJournal(settings) {
+    if (!shouldSaveToFile(settings)) {
+        return;
+    }
+    const filename = path.join(settings.output, journalFilename);
+    await fs.promises.rm(filename, { force: true });
+}
+
+
+/**
+ * Aliases for keys of spec filters (see filterSpecs)
+ */
+const filterAliases = {
+    group: 'groups.name',
+    category: 'categories'
+};
+
+
+/**
+ * Find the entry in browser-specs that matches the given spec ID.
+ *
+ * @function
+ * @param {String} id Spec shortname, series shortname or URL
+ * @return {Object|undefined} The matching browser-specs entry, if any
+ */
+function findKnownSpec(id) {
+    let match = specs.find(s => s.url === id || s.shortname === id);
+    if (!match) {
+        match = specs.find(s => s.series &&
+            s.series.shortname === id &&
+            s.series.currentSpecification === s.shortname);
+    }
+    return match;
+}
+
+
+/**
+ * Parse a spec filter of the form "key=value" or "key!=value", where "key"
+ * is a property of spec entries in browser-specs, possibly a dotted path for
+ * nested properties (e.g. "nightly.status"), and "value" a comma-separated
+ * list of values.
+ *
+ * @function
+ * @param {String} filter The filter to parse
+ * @return {Object} An object with the "path" of the property to evaluate, the
+ *   list of lower-cased "values" to look for, and a "negate" flag
+ * @throws {Error} when the filter cannot be parsed
+ */
+function parseSpecFilter(filter) {
+    const match = filter.match(/^([^!=]+?)\s*(!?=)\s*(.*)$/);
+    if (!match || !match[3]) {
+        throw new Error(`Invalid spec filter "${filter}", must be of the form "key=value" or "key!=value"`);
+    }
+    const key = match[1].trim();
+    return {
+        path: filterAliases[key] ?? key,
+        values: match[3].split(',').map(value => value.trim().toLowerCase()),
+        negate: match[2] === '!='
+    };
+}
+
+
+/**
+ * Filter the given list of specs, keeping specs whose browser-specs metadata
+ * match all the given filters.
+ *
+ * A filter matches a spec when one of the values of the property matches one
+ * of the values in the filter (case-insensitive). Properties that are arrays
+ * (e.g. "categories" or "groups") match when one of their items matches. A
+ * negated filter matches a spec when the positive filter does not, including
+ * when the spec does not have the property.
+ *
+ * @function
+ * @param {Array(String|Object)} list A list of specs, where each spec can be
+ *   a string that represents a spec's shortname, series shortname or URL, or
+ *   an object that already contains appropriate information.
+ * @param {Array(String)} filters List of filters (see parseSpecFilter)
+ * @return {Array(String|Object)} The filtered list
+ */
+function filterSpecs(list, filters) {
+    if (!filters?.length) {
+        return list;
+    }
+    const conditions = filters.map(parseSpecFilter);
+
+    function getValues(spec, path) {
+        let values = [spec];
+        for (const key of path.split('.')) {
+            values = values.flatMap(value => {
+                const next = value?.[key];
+                return (next === undefined || next === null) ? [] :
+                    (Array.isArray(next) ? next : [next]);
+            });
+        }
+        return values.map(value => String(value).toLowerCase());
+    }
+
+    return list.filter(spec => {
+        const entry = (typeof spec === 'string') ? (findKnownSpec(spec) ?? {}) : spec;
+        return conditions.every(condition => {
+            const found = getValues(entry, condition.path)
+                .some(value => condition.values.includes(value));
+            return condition.negate ? !found : found;
+        });
+    });
+}
+
+
 /**
  * Helper function that takes a list of specs as inputs and expands them to an
  * object suitable for crawling, with as much information as possible.
@@ -354,12 +1208,7 @@ function prepareListOfSpecs(list) {
         if (typeof spec !== 'string') {
             return spec;
         }
-        let match = specs.find(s => s.url === spec || s.shortname === spec);
-        if (!match) {
-            match = specs.find(s => s.series &&
-                s.series.shortname === spec &&
-                s.series.currentSpecification === s.shortname);
-        }
+        const match = findKnownSpec(spec);
         if (match) {
             return match;
         }
@@ -389,6 +1238,154 @@ function prepareListOfSpecs(list) {
 }
 
 
+/**
+ * Return the crawl settings to use to save results of the given version of
+ * specs ("ed" or "tr") when the crawl targets both versions.
+ *
+ * @function
+ * @private
+ * @param {Object} crawlOptions Crawl options
+ * @param {String} version Either "ed" or "tr"
+ * @return {Object} Crawl settings, with an "output" setting that points at
+ *   the version's subfolder if results are saved to files
+ */
+function getVersionSettings(crawlOptions, version) {
+    if (!shouldSaveToFile(crawlOptions)) {
+        return crawlOptions;
+    }
+    return Object.assign({}, crawlOptions, {
+        output: path.join(crawlOptions.output, version)
+    });
+}
+
+
+/**
+ * Extract the properties that are specific to the crawl of one version of a
+ * spec (crawl info and extracts) from the given spec crawl result.
+ *
+ * @function
+ * @private
+ * @param {Object} result Spec crawl result
+ * @param {Object} crawlOptions Crawl options
+ * @return {Object} Version-specific crawl result
+ */
+function getVersionResult(result, crawlOptions) {
+    const properties = ['crawled', 'crawlCacheInfo', 'error', 'moduleErrors', 'validationWarnings', 'attempts', 'snapshot', 'metrics']
+        .concat(crawlOptions.modules.map(mod => mod.property))
+        .concat((crawlOptions.post ?? [])
+            .filter(mod => postProcessor.appliesAtLevel(mod, 'spec'))
+            .map(mod => postProcessor.getProperty(mod)));
+    const versionResult = {};
+    for (const property of properties) {
+        if (result[property] !== undefined) {
+            versionResult[property] = result[property];
+        }
+    }
+    return versionResult;
+}
+
+
+/**
+ * Compute how far the published version of a spec lags behind its editor's
+ * draft, in terms of definitions, IDL and CSS constructs.
+ *
+ * @function
+ * @private
+ * @param {Object} ed Crawl result of the editor's draft
+ * @param {Object} tr Crawl result of the published version
+ * @return {Promise(Object)} The promise to get the number of constructs that
+ *   the editor's draft adds, removes or modifies per category (categories are
+ *   those of diff-crawls.js). Categories without changes are not reported.
+ */
+async function getReleaseLag(ed, tr) {
+    // Align URLs in the published version on those of the editor's draft so
+    // that definitions can be matched on their href
+    const aligned = JSON.parse(JSON.stringify(tr).replaceAll(
+        tr.crawled.split('#')[0], ed.crawled.split('#')[0]));
+    const diff = await diffSpecResults(aligned, ed);
+    const lag = {};
+    for (const category of lagCategories) {
+        if (diff[category]) {
+            lag[category] = {
+                added: diff[category].added.length,
+                removed: diff[category].removed.length,
+                modified: diff[category].modified.length
+            };
+        }
+    }
+    return lag;
+}
+
+
+/**
+ * Crawl both the editor's draft and the published version of a spec.
+ *
+ * The editor's draft is crawled first. The published version, if the spec
+ * has one, is crawled next, through the given queue to throttle requests
+ * sent to the origin of the published version.
+ *
+ * @function
+ * @private
+ * @param {Object} spec Spec to crawl
+ * @param {Object} crawlOptions Crawl options
+ * @param {ThrottledQueue} releaseQueue Queue to use to crawl published
+ *   versions
+ * @return {Promise(Object)} The promise to get a crawl result that contains
+ *   the spec metadata, an "ed" property with the results of the crawl of the
+ *   editor's draft, and, when the spec has a published version, a "tr"
+ *   property with the results of the crawl of the published version and a
+ *   "lag" property (see getReleaseLag). The "error" property is set when one
+ *   of the versions could not be crawled.
+ */
+async function crawlBothVersions(spec, crawlOptions, releaseQueue) {
+    const ed = await crawlSpec(Object.assign({}, spec),
+        Object.assign({}, crawlOptions, { publishedVersion: false }));
+    const tr = spec.release ?
+        await releaseQueue.runThrottledPerOrigin(spec.release.url, crawlSpec,
+            Object.assign({}, spec),
+            Object.assign({}, crawlOptions, { publishedVersion: true })) :
+        null;
+
+    const result = Object.assign({}, spec);
+    result.ed = getVersionResult(ed, crawlOptions);
+    if (tr) {
+        result.tr = getVersionResult(tr, crawlOptions);
+    }
+    if (ed.error || tr?.error) {
+        result.error = ed.error ?? tr.error;
+    }
+    else if (tr && ed.crawled && tr.crawled) {
+        result.lag = await getReleaseLag(result.ed, result.tr);
+    }
+    return result;
+}
+
+
+/**
+ * Save the results of both versions of a spec to extract files as needed,
+ * in "ed" and "tr" subfolders.
+ *
+ * @function
+ * @private
+ * @param {Object} result Crawl result, as returned by crawlBothVersions
+ * @param {Object} crawlOptions Crawl options
+ * @return {Promise(Object)} The promise to get an updated crawl result that
+ *   contains links to created extracts, relative to the version's subfolder.
+ */
+async function saveBothVersionsResults(result, crawlOptions) {
+    for (const version of ['ed', 'tr']) {
+        if (!result[version]) {
+            continue;
+        }
+        const saved = await saveSpecResults(
+            Object.assign({}, result, result[version]),
+            getVersionSettings(crawlOptions, version));
+        result[version] = getVersionResult(saved, crawlOptions);
+    }
+    return result;
+}
+
+
 /**
  * Crawl the provided list of specifications and return an array with the crawl
  * results.
@@ -407,8 +1404,9 @@ function prepareListOfSpecs(list) {
  *   results.
  */
 async function crawlList(speclist, crawlOptions) {
-    // Expand the list of specs to spec objects suitable for crawling
-    speclist = prepareListOfSpecs(speclist);
+    // Expand the list of specs to spec objects suitable for crawling, keeping
+    // specs that match the filters, if any
+    speclist = prepareListOfSpecs(filterSpecs(speclist, crawlOptions?.filter));
 
     // Make a shallow copy of crawl options object since we're going
     // to modify properties in place
@@ -417,6 +1415,26 @@ async function crawlList(speclist, crawlOptions) {
     // Expand list of processing modules to use if not already done
     crawlOptions.modules = expandBrowserModules(crawlOptions.modules);
 
+    // Crawling both the editor's draft and the published version of specs
+    // requires actual crawls
+    if (crawlOptions.bothVersions) {
+        for (const option of ['publishedVersion', 'useCrawl', 'fromSnapshots', 'fallback', 'markdown', 'terse']) {
+            if (crawlOptions[option]) {
+                throw new Error(`The bothVersions option cannot be combined with the ${option} option`);
+            }
+        }
+    }
+
+    checkEmitter(crawlOptions.emitter);
+
+    // Compute and validate throttling settings, retry policy and browser pool
+    // settings. The browser pool has one slot per spec crawled in parallel.
+    const throttling = getThrottlingSettings(crawlOptions);
+    crawlOptions.retry = getRetryPolicy(crawlOptions.retry);
+    const browserPoolSettings = getBrowserPoolSettings(Object.assign(
+        { size: throttling.maxParallel },
+        crawlOptions.browserPool));
+
     // Load fallback data if necessary
     if (crawlOptions.fallback) {
         try {
@@ -426,15 +1444,68 @@ async function crawlList(speclist, crawlOptions) {
         }
     }
 
+    // Prepare the network archive to record network requests to, or to
+    // replay network requests from
+    if (crawlOptions.record && crawlOptions.replay) {
+        throw new Error('The record and replay options cannot be combined');
+    }
+    if (crawlOptions.replay) {
+        crawlOptions.archive = await NetworkArchive.load(crawlOptions.replay);
+    }
+    else if (crawlOptions.record) {
+        crawlOptions.archive = await NetworkArchive.create(crawlOptions.record);
+    }
+
+    // Load the index of the crawl that saved the snapshots to load
+    if (crawlOptions.saveSnapshots && !shouldSaveToFile(crawlOptions)) {
+        throw new Error('Snapshots can only be saved when an output folder is set');
+    }
+    if (crawlOptions.fromSnapshots) {
+        crawlOptions.snapshotsIndex = await loadJSON(
+            path.join(crawlOptions.fromSnapshots, 'index.json'));
+        if (!crawlOptions.snapshotsIndex) {
+            throw new Error(`Could not load crawl index file in ${crawlOptions.fromSnapshots}`);
+        }
+    }
+
+    if (![undefined, false, true, 'warn', 'fail'].includes(crawlOptions.validate)) {
+        throw new Error(`Unknown validate option "${crawlOptions.validate}", expected "warn" or "fail"`);
+    }
+
+    // Load post-processing modules as needed
+    await postProcessor.loadModules(crawlOptions.post ?? []);
+    if (crawlOptions.bothVersions &&
+            (crawlOptions.post ?? []).some(mod => postProcessor.appliesAtLevel(mod, 'crawl'))) {
+        throw new Error('The bothVersions option cannot be combined with post-processing modules that run at the crawl level');
+    }
+
+    // Extracts of editor's drafts and published versions get saved in
+    // separate subfolders when both versions get crawled
+    if (crawlOptions.bothVersions && shouldSaveToFile(crawlOptions)) {
+        await createFolderIfNeeded(crawlOptions.output);
+        for (const version of ['ed', 'tr']) {
+            await createFolderIfNeeded(path.join(crawlOptions.output, version));
+        }
+    }
+
+    // Load results of specs that were already crawled if we're resuming an
+    // interrupted crawl
+    const journal = await loadJournal(crawlOptions);
+    const getJournaledResult = spec => journal.find(res =>
+        res.url === spec.url && isReusableResult(res));
+
     // Prepare Puppeteer instance unless we already have crawl results and
-    // we're only interested in post-processing
+    // we're only interested in post-processing, or unless all specs were
+    // already crawled
     let list = null;
     if (crawlOptions.useCrawl) {
         list = speclist;
     }
     else {
-        await setupBrowser(crawlOptions.modules);
         list = speclist.map(completeWithAlternativeUrls);
+        if (!list.every(getJournaledResult)) {
+            await setupBrowser(crawlOptions.modules, browserPoolSettings);
+        }
     }
 
     // Filter out non-published specs when goal is to crawl published versions
@@ -442,61 +1513,153 @@ async function crawlList(speclist, crawlOptions) {
         list = list.filter(spec => !!spec.release);
     }
 
-    // Load post-processing modules as needed
-    await postProcessor.loadModules(crawlOptions.post ?? []);
+    // When results are streamed to the console as NDJSON, there is no need to
+    // keep full spec results in memory, unless a post-processing module needs
+    // to run on the whole crawl afterwards
+    const keepResults = !crawlOptions.ndjson || crawlOptions.outputDb ||
+        (crawlOptions.post ?? []).some(mod => postProcessor.appliesAtLevel(mod, 'crawl'));
+
+    // Journal updates need to be serialized, as specs get crawled in parallel
+    let journalUpdate = Promise.resolve();
 
     const nbStr = '' + list.length;
+    const getLogCounter = idx => ('' + (idx + 1)).padStart(nbStr.length, ' ') + '/' + nbStr;
     async function processSpec(spec, idx) {
-        const logCounter = ('' + (idx + 1)).padStart(nbStr.length, ' ') + '/' + nbStr;
+        const logCounter = getLogCounter(idx);
+        const progress = { url: spec.url, shortname: spec.shortname, index: idx, total: list.length };
+        const start = Date.now();
         crawlOptions.quiet ?? console.warn(`${logCounter} - ${spec.url} - crawling`);
-        let result = await crawlSpec(spec, crawlOptions);
-        result = await saveSpecResults(result, crawlOptions);
+        emitProgress(crawlOptions, 'spec-start', progress);
+        let result = crawlOptions.bothVersions ?
+            await crawlBothVersions(spec, crawlOptions, releaseQueue) :
+            await crawlSpec(spec, crawlOptions);
+        if (result.error && crawlOptions.signal?.aborted) {
+            // Crawl was cancelled, the error is most likely a consequence.
+            // The spec will be crawled again if the crawl gets resumed.
+            throw crawlOptions.signal.reason;
+        }
+        if (result.error) {
+            emitProgress(crawlOptions, 'spec-error',
+                Object.assign({ error: result.error }, progress));
+            if (result.error.fallback) {
+                emitProgress(crawlOptions, 'spec-fallback',
+                    Object.assign({ reason: 'error' }, progress));
+            }
+        }
+        result = crawlOptions.bothVersions ?
+            await saveBothVersionsResults(result, crawlOptions) :
+            await saveSpecResults(result, crawlOptions);
+        journalUpdate = journalUpdate.then(_ => appendToJournal(result, crawlOptions));
+        await journalUpdate;
         crawlOptions.quiet ?? console.warn(`${logCounter} - ${spec.url} - done`);
+        emitProgress(crawlOptions, 'spec-done',
+            Object.assign({ duration: Date.now() - start, result }, progress));
+        if (crawlOptions.ndjson) {
+            // The crawl summary needs to be part of the line written for the
+            // spec, it cannot wait until the end of the crawl
+            if (crawlOptions.summary) {
+                result.crawlSummary = await generateSpecReport(result);
+            }
+            console.log(JSON.stringify(result));
+            if (!keepResults) {
+                // Only keep what the crawl index stats need
+                return {
+                    url: result.url,
+                    shortname: result.shortname,
+                    error: result.error,
+                    moduleErrors: result.moduleErrors,
+                    validationWarnings: result.validationWarnings,
+                    metrics: result.metrics
+                };
+            }
+        }
         return result;
     }
 
-    const crawlQueue = new ThrottledQueue({
-        maxParallel: 4,
+    emitProgress(crawlOptions, 'crawl-start', { total: list.length });
+    const queueSettings = {
+        maxParallel: throttling.maxParallel,
+        originAliases: throttling.originAliases,
+        signal: crawlOptions.signal,
         sleepInterval: origin => {
-            if (crawlOptions.useCrawl) {
+            if (crawlOptions.useCrawl || crawlOptions.fromSnapshots) {
                 // Not an actual crawl, we're going to reuse previous crawl
-                // results instead. No need to sleep!
+                // results or snapshots instead. No need to sleep!
                 return 0;
             }
-            switch (origin) {
-            case 'https://csswg.org': return 2000;
-            case 'https://www.w3.org': return 1000;
-            default: return 100;
-            }
+            return throttling.sleepIntervals[origin] ??
+                throttling.sleepIntervals.default;
+        }
+    };
+    const crawlQueue = new ThrottledQueue(queueSettings);
+
+    // Published versions get crawled from within the task that crawls the
+    // editor's draft, through a separate queue so that requests to the
+    // origins of published versions get throttled as well. That queue never
+    // needs to wait for a free slot as it cannot have more parallel tasks
+    // than the main queue.
+    const releaseQueue = crawlOptions.bothVersions ?
+        new ThrottledQueue(queueSettings) :
+        null;
+    const crawled = await Promise.all(list.map((spec, idx) => {
+        const journaled = getJournaledResult(spec);
+        if (journaled) {
+            crawlOptions.quiet ?? console.warn(`${getLogCounter(idx)} - ${spec.url} - already crawled, skipping`);
+            emitProgress(crawlOptions, 'spec-done', {
+                url: spec.url, shortname: spec.shortname, index: idx,
+                total: list.length, duration: 0, result: journaled, skipped: true
+            });
+            return journaled;
         }
-    });
-    const results = await Promise.all(list.map((spec, idx) => {
         const versionToCrawl = crawlOptions.publishedVersion ?
             (spec.release ? spec.release : spec.nightly) :
             spec.nightly;
         const urlToCrawl = versionToCrawl?.url;
-        return crawlQueue.runThrottledPerOrigin(urlToCrawl, processSpec, spec, idx);
+        return crawlQueue.runThrottledPerOrigin(urlToCrawl, processSpec, spec, idx)
+            .catch(err => {
+                // Specs that could not be crawled because the crawl was
+                // cancelled are left out of the results
+                if (crawlOptions.signal?.aborted) {
+                    return null;
+                }
+                throw err;
+            });
     }));
+    const results = crawled.filter(result => !!result);
+    if (crawlOptions.signal?.aborted) {
+        crawlOptions.quiet ?? console.warn(`Crawl cancelled, ${results.length}/${list.length} specs crawled`);
+    }
 
     // Close Puppeteer instance
     if (!crawlOptions.useCrawl) {
         await teardownBrowser();
     }
 
+    // Close the network archive if we recorded one
+    if (crawlOptions.record) {
+        await crawlOptions.archive.close();
+        crawlOptions.quiet ?? console.warn(`Network archive saved to ${crawlOptions.record}`);
+    }
+
     // Merge extracts per series when necessary (CSS/IDL extracts)
-    for (const mod of crawlOptions.modules) {
-        if (mod.extractsPerSeries) {
-            await adjustExtractsPerSeries(results, mod.property, crawlOptions);
+    const perSeries = crawlOptions.modules
+        .filter(mod => mod.extractsPerSeries)
+        .map(mod => mod.property)
+        .concat((crawlOptions.post ?? [])
+            .filter(mod => postProcessor.extractsPerSeries(mod))
+            .map(mod => mod.property));
+    for (const property of perSeries) {
+        if (crawlOptions.bothVersions) {
+            await adjustBothVersionsExtractsPerSeries(results, property, crawlOptions);
         }
-    }
-    for (const mod of crawlOptions.post ?? []) {
-        if (postProcessor.extractsPerSeries(mod)) {
-            await adjustExtractsPerSeries(results, mod.property, crawlOptions);
+        else {
+            await adjustExtractsPerSeries(results, property, crawlOptions);
         }
     }
 
-    // Attach a crawl summary in Markdown if so requested
-    if (crawlOptions.markdown || crawlOptions.summary) {
+    // Attach a crawl summary in Markdown if so requested (already done for
+    // each spec when results are streamed as NDJSON)
+    if ((crawlOptions.markdown || crawlOptions.summary) && !crawlOptions.ndjson) {
         for (const res of results) {
             res.crawlSummary = await generateSpecReport(res);
         }
@@ -527,6 +1690,10 @@ async function adjustExtractsPerSeries(data, property, settings) {
     const deltaLevels = data.filter(spec =>
         (spec.seriesComposition === 'delta') && spec[property]);
 
+    // Results recorded in the crawl journal of an interrupted crawl link to
+    // extracts as they were before adjustment. If the crawl got interrupted
+    // after adjustment, the extracts may already have been renamed or
+    // dropped, and need to be left alone.
     data.forEach(spec => {
         if (fullLevels.includes(spec)) {
             // Full level, rename the extract after the series' shortname,
@@ -534,14 +1701,16 @@ async function adjustExtractsPerSeries(data, property, settings) {
             // drop the created extract (not to run into IDL duplication issues)
             if (spec.seriesComposition === 'fork') {
                 const pathname = path.resolve(settings.output, spec[property]);
-                fs.unlinkSync(pathname);
+                fs.rmSync(pathname, { force: true });
                 delete spec[property];
             }
             else {
                 const pathname = path.resolve(settings.output, spec[property]);
                 spec[property] = `${property}/${spec.series.shortname}${path.extname(spec[property])}`;
                 const newpathname = path.resolve(settings.output, spec[property]);
-                fs.renameSync(pathname, newpathname);
+                if (fs.existsSync(pathname) || !fs.existsSync(newpathname)) {
+                    fs.renameSync(pathname, newpathname);
+                }
             }
         }
         else if (deltaLevels.includes(spec)) {
@@ -550,7 +1719,7 @@ async function adjustExtractsPerSeries(data, property, settings) {
         else if (spec[property]) {
             // Not the right full level in the series, drop created extract
             const pathname = path.resolve(settings.output, spec[property]);
-            fs.unlinkSync(pathname);
+            fs.rmSync(pathname, { force: true });
             delete spec[property];
         }
     });
@@ -559,6 +1728,97 @@ async function adjustExtractsPerSeries(data, property, settings) {
 }
 
 
+/**
+ * Merges extracts per series for the given property and adjusts links, for
+ * each version of specs, when the crawl targets both versions.
+ *
+ * @function
+ * @param {Array(object)} data Crawl results
+ * @param {string} property The extract property to process
+ * @param {Object} settings Crawl settings
+ * @return {Promise(Array)} The promise to get an updated crawl results array
+ */
+async function adjustBothVersionsExtractsPerSeries(data, property, settings) {
+    for (const version of ['ed', 'tr']) {
+        // Series logic needs spec metadata, run it on merged views of the
+        // results and report changes back
+        const specs = data.filter(spec => spec[version]);
+        const views = specs.map(spec => Object.assign({}, spec, spec[version]));
+        await adjustExtractsPerSeries(views, property,
+            getVersionSettings(settings, version));
+        specs.forEach((spec, idx) => {
+            if (views[idx][property]) {
+                spec[version][property] = views[idx][property];
+            }
+            else {
+                delete spec[version][property];
+            }
+        });
+    }
+    return data;
+}
+
+
+/**
+ * Compute crawl stats from the given list of spec crawl results.
+ *
+ * @function
+ * @param {Array(Object)} results Spec crawl results
+ * @return {Object} Crawl stats: number of specs crawled, number of errors,
+ *   number of errors per error code and, when performance metrics were
+ *   collected, the sum of these metrics over all specs
+ */
+function getCrawlStats(results) {
+    const stats = {
+        crawled: results.length,
+        errors: results.filter(spec => !!spec.error).length,
+        errorsByCode: countErrorsByCode(results)
+    };
+    const moduleErrors = results.filter(spec =>
+        spec.moduleErrors || spec.ed?.moduleErrors || spec.tr?.moduleErrors).length;
+    if (moduleErrors > 0) {
+        stats.moduleErrors = moduleErrors;
+    }
+    const validationWarnings = results
+        .map(spec => [spec, spec.ed, spec.tr])
+        .flat()
+        .map(res => res?.validationWarnings?.length ?? 0)
+        .reduce((total, nb) => total + nb, 0);
+    if (validationWarnings > 0) {
+        stats.validationWarnings = validationWarnings;
+    }
+    const metrics = results
+        .map(spec => [spec.metrics, spec.ed?.metrics, spec.tr?.metrics])
+        .flat()
+        .filter(metrics => !!metrics);
+    if (metrics.length > 0) {
+        stats.metrics = metrics.reduce(addMetrics, {});
+    }
+    return stats;
+}
+
+
+/**
+ * Add the given spec performance metrics to the given aggregated metrics.
+ *
+ * @function
+ * @param {Object} total Aggregated metrics, updated in place
+ * @param {Object} metrics Spec metrics
+ * @return {Object} Updated aggregated metrics
+ */
+function addMetrics(total, metrics) {
+    for (const [key, value] of Object.entries(metrics)) {
+        if (typeof value === 'number') {
+            total[key] = (total[key] ?? 0) + value;
+        }
+        else {
+            total[key] = addMetrics(total[key] ?? {}, value);
+        }
+    }
+    return total;
+}
+
+
 /**
  * Saves the crawl results to an index.json file.
  *
@@ -577,6 +1837,31 @@ async function saveResults(contents, settings) {
 }
 
 
+/**
+ * Merge the given crawl options with the settings of the project
+ * configuration file that the `config` option points to, if set (see
+ * project-config.js).
+ *
+ * The function does not look for a project configuration file in the current
+ * working directory, only the CLI does that.
+ *
+ * @function
+ * @param {Object} options Crawl options
+ * @return {Promise(Object)} The promise to get merged crawl options
+ */
+async function applyProjectConfig(options) {
+    if (!options?.config) {
+        const copy = Object.assign({}, options);
+        delete copy.config;
+        return copy;
+    }
+    const projectConfig = await loadProjectConfig(options.config);
+    const merged = mergeCrawlOptions(projectConfig?.settings, options);
+    delete merged.config;
+    return merged;
+}
+
+
 /**
  * Run a crawl given a set of options.
  *
@@ -595,6 +1880,57 @@ async function saveResults(contents, settings) {
  * as a folder, creates subfolders and files with crawl results in that folder,
  * with a root `index.json` entry point, and does not return anything.
  *
+ * The `emitter` option may be set to an EventEmitter, to an EventTarget, or to
+ * an object that maps event names to callback functions, to follow the
+ * progress of the crawl. The crawler emits the following events, with an
+ * object that describes the event as parameter (as `detail` of a
+ * `CustomEvent` for an EventTarget). Errors thrown by listeners do not abort
+ * the crawl:
+ * - `crawl-start`: crawl starts, with the `total` number of specs to crawl.
+ * - `spec-start`: crawl of a spec starts, with the `url` and `shortname` of
+ * the spec, its `index` in the list, and the `total` number of specs.
+ * - `spec-retry`: crawl of a spec failed and is about to be retried, with the
+ * `attempt` number, the `delay` before the next attempt and the `error`.
+ * - `spec-error`: crawl of a spec failed, with the `error`.
+ * - `spec-fallback`: the crawler used fallback data for the spec, with a
+ * `reason` that is either "error" or "notmodified".
+ * - `spec-done`: crawl of a spec is over, with its `duration` in ms and the
+ * spec crawl `result`. A `skipped` flag is set when the result comes from the
+ * journal of an interrupted crawl.
+ * - `post-start`, `post-end`: a post-processing `module` starts or ends, at
+ * the spec or crawl `level`. The `url` of the spec is set at the spec level.
+ * The `post-end` event also has the `duration` of the post-processing.
+ * - `crawl-done`: crawl is over, with crawl `stats` and its `duration` in ms.
+ *
+ * The `signal` option may be set to an AbortSignal to cancel the crawl. The
+ * crawler then stops crawling new specs, aborts ongoing spec crawls, closes
+ * the browser and completes with the results of the specs that were already
+ * crawled. The index of the crawl results has an `incomplete` property set to
+ * `true` in that case. Post-processing modules that run at the crawl level do
+ * not run, and the crawl may be resumed afterwards (see the `resume` option).
+ *
+ * The `metrics` option makes the crawler measure the time spent fetching,
+ * loading, generating and processing each spec, along with the number of
+ * network requests and bytes transferred. Metrics are reported in a `metrics`
+ * property of each spec result, and summed up in the `stats` of the index.
+ * The time spent in post-processing modules that run at the crawl level is
+ * reported in the `post` metrics of the `stats` of the index.
+ *
+ * The `validate` option makes the crawler validate extracts against their
+ * JSON schemas. Violations are reported as warnings in a `validationWarnings`
+ * property of each spec result, and counted in the `stats` of the index.
+ * Results of post-processing modules that run at the crawl level and that
+ * create a single extract get validated too. When the option is set to
+ * `"fail"`, the crawl still completes but the returned promise is rejected if
+ * there are any violations.
+ *
+ * The `bothVersions` option makes the crawler crawl both the editor's draft
+ * and the published version of each spec. Results of each version are stored
+ * in `ed` and `tr` properties of each spec result (extracts are saved in `ed`
+ * and `tr` subfolders of the output folder), along with a `lag` property that
+ * reports the number of constructs that the editor's draft adds, removes or
+ * modifies compared to the published version.
+ *
  * @function
  * @param {Object} options Crawl options. Possible options include:
  *   publishedVersion, debug, output, terse, modules and specs.
@@ -604,6 +1940,7 @@ async function saveResults(contents, settings) {
  *   to the specific value `{return}`.
  */
 async function crawlSpecs(options) {
+    options = await applyProjectConfig(options);
     const crawlIndex = options?.useCrawl ?
         await loadJSON(path.join(options.useCrawl, 'index.json')) :
         null;
@@ -615,6 +1952,10 @@ async function crawlSpecs(options) {
     // in place.
     options = Object.assign({}, options);
     options.modules = expandBrowserModules(options.modules);
+    if (options.ndjson && (options.output || options.terse || options.markdown)) {
+        throw new Error('NDJSON output cannot be combined with the output, terse or markdown options');
+    }
+    const start = Date.now();
 
     return crawlList(requestedList, options)
         .then(async results => {
@@ -625,16 +1966,18 @@ async function crawlSpecs(options) {
                 title: 'Reffy crawl',
                 date: (new Date()).toJSON(),
                 options: Object.assign({}, options, {
-                    modules: options.modules.map(mod => mod.property)
+                    modules: options.modules.map(mod => mod.property),
+                    emitter: undefined,
+                    signal: undefined
                 }),
                 stats: {},
                 crawler: `reffy-${reffyVersion}`,
                 results
             };
-            index.stats = {
-                crawled: results.length,
-                errors: results.filter(spec => !!spec.error).length
-            };
+            index.stats = getCrawlStats(results);
+            if (options.signal?.aborted) {
+                index.incomplete = true;
+            }
 
             // Return results to the console or save crawl results to an
             // index.json file
@@ -659,28 +2002,69 @@ async function crawlSpecs(options) {
                     console.log();
                 }
             }
-            else if (!options.output) {
+            else if (options.ndjson) {
+                // Spec results were already streamed to the console
+            }
+            else if (!options.output && !options.outputDb) {
                 console.log(JSON.stringify(results, null, 2));
             }
             else if (shouldSaveToFile(options)) {
                 await saveResults(index, options);
             }
+
+            // Save crawl results to an SQLite database as well if so requested
+            if (options.outputDb) {
+                await saveCrawlToDatabase(index, options.outputDb,
+                    shouldSaveToFile(options) ? options.output : null);
+                options.quiet ?? console.warn(`Crawl results saved to database ${options.outputDb}`);
+            }
             return index;
         })
         .then(async crawlIndex => {
-            // Run post-processing modules at the crawl level
+            let postValidationWarnings = 0;
+            let postMetrics = false;
+
+            // Run post-processing modules at the crawl level, unless the crawl
+            // was cancelled (results would be incomplete in any case)
             for (const mod of (options.post ?? [])) {
-                if (!postProcessor.appliesAtLevel(mod, 'crawl')) {
+                if (!postProcessor.appliesAtLevel(mod, 'crawl') ||
+                        crawlIndex.incomplete) {
                     continue;
                 }
+                const name = postProcessor.getProperty(mod);
+                const postStart = Date.now();
+                emitProgress(options, 'post-start', { module: name, level: 'crawl' });
                 const crawlResults = shouldSaveToFile(options) ?
                     await expandCrawlResult(
                         crawlIndex, options.output, postProcessor.dependsOn(mod)) :
                     crawlIndex;
                 const result = await postProcessor.run(mod, crawlResults, options);
+                if (options.validate) {
+                    const warnings = await validatePostResult(mod, result);
+                    for (const warning of warnings) {
+                        options.quiet ?? console.warn(`${name} - schema validation warning at ${warning.path}: ${warning.message}`);
+                    }
+                    postValidationWarnings += warnings.length;
+                }
                 await postProcessor.save(mod, result, options);
+                const duration = Date.now() - postStart;
+                emitProgress(options, 'post-end',
+                    { module: name, level: 'crawl', duration });
+                if (options.metrics) {
+                    const metrics = crawlIndex.stats.metrics ?? {};
+                    metrics.post = metrics.post ?? {};
+                    metrics.post[name] = (metrics.post[name] ?? 0) + duration;
+                    crawlIndex.stats.metrics = metrics;
+                    postMetrics = true;
+                }
 
-                if (!options.output) {
+                if (options.ndjson) {
+                    console.log(JSON.stringify({
+                        mod: postProcessor.getProperty(mod),
+                        result
+                    }));
+                }
+                else if (!options.output && !options.outputDb) {
                     console.log();
                     console.log(JSON.stringify(result, null, 2));
                 }
@@ -695,6 +2079,31 @@ async function crawlSpecs(options) {
                 }
             }
 
+            // Report the time spent in post-processing modules that ran at the
+            // crawl level in the saved index as well (starting from the saved
+            // file since post-processing modules may have updated it)
+            if (postMetrics && shouldSaveToFile(options)) {
+                const indexFilename = path.join(options.output, 'index.json');
+                const index = JSON.parse(await fs.promises.readFile(indexFilename, 'utf8'));
+                index.stats.metrics = crawlIndex.stats.metrics;
+                await saveResults(index, options);
+            }
+
+            // Crawl is over, no need to keep the journal around, unless the
+            // crawl was cancelled and may be resumed
+            if (!crawlIndex.incomplete) {
+                await deleteJournal(options);
+            }
+            emitProgress(options, 'crawl-done',
+                { stats: crawlIndex.stats, duration: Date.now() - start });
+
+            // Report schema violations as a crawl failure if so requested
+            const violations = (crawlIndex.stats.validationWarnings ?? 0) +
+                postValidationWarnings;
+            if (options.validate === 'fail' && violations > 0) {
+                throw new Error(`Extracts do not validate against their JSON schemas (${violations} violation(s))`);
+            }
+
             // Function does not return anything if it already reported the
             // results to the console or files. It returns the index of the
             // crawl results otherwise.
@@ -722,7 +2131,16 @@ async function crawlSpecs(options) {
  * the function does not output anything but returns the index of the crawl
  * results which a caller may then process in any way they wish. If `output` is
  * set to any other value, it defines a folder, the function saves crawl
- * results as folders and files in that folder and returns nothing.
+ * results as folders and files in that folder and returns nothing. If `output`
+ * is not set and the `ndjson` option is set, the function rather outputs each
+ * spec result on its own line as soon as the spec has been crawled, followed
+ * by one line per crawl-level post-processing module.
+ *
+ * When the `config` option is set to the path of a project configuration file
+ * (`reffy.config.json` or `reffy.config.mjs`), crawl options get merged with
+ * the settings of that file, options taking precedence. Unlike the CLI, the
+ * function does not look for a project configuration file in the current
+ * working directory.
  *
  * If it receives an array as first parameter, the array defines the set of
  * specs that are to be crawled (each spec may be a string representing the
@@ -734,16 +2152,71 @@ async function crawlSpecs(options) {
  * Note the function does not apply post-processing modules that run at the
  * "crawl" level when it receives an array as first parameter. It will also
  * ignore crawl options that control the output such as `output`, `markdown`
- * and `terse`.
+ * and `terse`, as well as project configuration files.
  */
 function crawl(...args) {
-    return Array.isArray(args[0]) ?
-        crawlList.apply(this, args) :
-        crawlSpecs.apply(this, args);
+    if (!Array.isArray(args[0])) {
+        return crawlSpecs.apply(this, args);
+    }
+    const start = Date.now();
+    return crawlList.apply(this, args).then(results => {
+        emitProgress(args[1], 'crawl-done',
+            { stats: getCrawlStats(results), duration: Date.now() - start });
+        return results;
+    });
+}
+
+
+/**
+ * Run processing modules on the given HTML content, as if it were the
+ * contents of a spec served at the given base URL.
+ *
+ * The HTML content should be the generated version of the spec: the page is
+ * loaded without any network request (scripts that the page references, such
+ * as ReSpec, do not run). Post-processing modules that run at the spec level
+ * run on the result. Post-processing modules that run at the crawl level are
+ * ignored.
+ *
+ * @function
+ * @public
+ * @param {String} html The HTML content to process
+ * @param {Object} options Extraction options. The "baseUrl" option is the
+ *   URL at which the content gets loaded, used to resolve relative links. It
+ *   is mandatory. The "modules" and "post" options set the processing and
+ *   post-processing modules to run, as in crawl options. All core processing
+ *   modules run by default. The "quiet" option may also be set.
+ * @return {Promise<Object>} The promise to get a spec crawl result, with the
+ *   same shape as crawl results returned by crawlSpecs. Errors are reported
+ *   in an "error" property.
+ */
+async function extractFromHtml(html, options) {
+    options = options ?? {};
+    if (typeof html !== 'string') {
+        throw new Error('HTML content must be a string');
+    }
+    if (!options.baseUrl || !options.baseUrl.match(/^https?:/)) {
+        throw new Error('An HTTP(S) base URL is needed to process HTML content');
+    }
+    const crawlOptions = {
+        modules: expandBrowserModules(options.modules),
+        post: options.post ?? [],
+        quiet: options.quiet,
+        html
+    };
+    const spec = { url: options.baseUrl, nightly: { url: options.baseUrl } };
+
+    await postProcessor.loadModules(crawlOptions.post);
+    await setupBrowser(crawlOptions.modules);
+    try {
+        return await crawlSpec(spec, crawlOptions);
+    }
+    finally {
+        await teardownBrowser();
+    }
 }
 
 
 /**************************************************
 Export crawl method for use as module
 **************************************************/
-export { crawl as crawlSpecs };
+export { crawl as crawlSpecs, extractFromHtml };
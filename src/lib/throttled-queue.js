@@ -7,33 +7,62 @@ function sleep(ms) {
 
 
 /**
- * Helper function that returns the "origin" of a URL, defined in a loose way
- * as the part of the true origin that identifies the server that's going to
- * serve the resource.
+ * Default origin aliasing rules. Keys are the "origins" that the throttled
+ * queue uses to serialize tasks, values are lists of host patterns that map to
+ * that origin. A pattern that starts with "*." matches all subdomains of the
+ * domain that follows. Other patterns must match the host name exactly.
  *
  * For example "github.io" for all specs under github.io, "whatwg.org" for
  * all WHATWG specs, "csswg.org" for CSS specs at large (including Houdini
  * and FXTF specs since they are served by the same server).
  */
-function getOrigin(url) {
+const defaultOriginAliases = {
+    'https://whatwg.org': ['*.whatwg.org'],
+    'https://github.io': ['*.github.io'],
+    'https://csswg.org': ['*.csswg.org', '*.css-houdini.org', '*.fxtf.org']
+};
+
+
+/**
+ * Merge the given sets of origin aliasing rules, in order of precedence. The
+ * rules of the first set come first in the result, so that they win over
+ * rules of the next sets for hosts that several rules match (see getOrigin).
+ * When an origin appears in more than one set, its rule is taken from the
+ * first set that defines it.
+ */
+function mergeOriginAliases(...rulesets) {
+    const merged = {};
+    for (const rules of rulesets) {
+        for (const [alias, patterns] of Object.entries(rules ?? {})) {
+            if (!(alias in merged)) {
+                merged[alias] = patterns;
+            }
+        }
+    }
+    return merged;
+}
+
+
+/**
+ * Helper function that returns the "origin" of a URL, defined in a loose way
+ * as the part of the true origin that identifies the server that's going to
+ * serve the resource, as defined by the given origin aliasing rules. Rules
+ * are tested in order, the first rule that matches the host name wins.
+ */
+function getOrigin(url, originAliases = defaultOriginAliases) {
     if (!url) {
         return '';
     }
-    const origin = (new URL(url)).origin;
-    if (origin.endsWith('.whatwg.org')) {
-        return 'https://whatwg.org';
-    }
-    else if (origin.endsWith('.github.io')) {
-        return 'https://github.io';
-    }
-    else if (origin.endsWith('.csswg.org') ||
-             origin.endsWith('.css-houdini.org') ||
-             origin.endsWith('.fxtf.org')) {
-        return 'https://csswg.org';
-    }
-    else {
-        return origin;
+    const parsedUrl = new URL(url);
+    for (const [alias, patterns] of Object.entries(originAliases)) {
+        const matches = patterns.some(pattern => pattern.startsWith('*.') ?
+            parsedUrl.hostname.endsWith(pattern.substring(1)) :
+            parsedUrl.hostname === pattern);
+        if (matches) {
+            return alias;
+        }
     }
+    return parsedUrl.origin;
 }
 
 
@@ -42,13 +71,19 @@ function getOrigin(url) {
  * network requests to an origin server in parallel, up to a certain limit,
  * while guaranteeing that only one request will be sent to a given origin
  * server at a time.
+ *
+ * The queue stops running tasks when the AbortSignal given as "signal" option
+ * to the constructor, if any, gets aborted. Tasks that have not started yet
+ * are then rejected with the abort reason.
  */
 export default class ThrottledQueue {
   originQueue = {};
   maxParallel = 4;
   sleepInterval = 2000;
+  originAliases = defaultOriginAliases;
   ongoing = 0;
   pending = [];
+  signal = null;
 
   constructor(options = { maxParallel: 4, sleepInterval: 2000 }) {
     if (options.maxParallel >= 0) {
@@ -57,6 +92,19 @@ export default class ThrottledQueue {
     if (options.sleepInterval) {
       this.sleepInterval = options.sleepInterval;
     }
+    if (options.originAliases) {
+      this.originAliases = options.originAliases;
+    }
+    if (options.signal) {
+      this.signal = options.signal;
+      this.signal.addEventListener('abort', _ => {
+        const pending = this.pending;
+        this.pending = [];
+        for (const task of pending) {
+          task.reject(this.signal.reason);
+        }
+      }, { once: true });
+    }
   }
 
   /**
@@ -68,6 +116,7 @@ export default class ThrottledQueue {
    * directly if they don't need any throttling per origin.
    */
   async runThrottled(processFunction, ...params) {
+    this.signal?.throwIfAborted();
     if (this.ongoing >= this.maxParallel) {
       return new Promise((resolve, reject) => {
         this.pending.push({ params, resolve, reject });
@@ -75,20 +124,22 @@ export default class ThrottledQueue {
     }
     else {
       this.ongoing += 1;
-      const result = await processFunction.call(null, ...params);
-      this.ongoing -= 1;
+      try {
+        return await processFunction.call(null, ...params);
+      }
+      finally {
+        this.ongoing -= 1;
 
-      // Done with current task, trigger next pending task in the background
-      setTimeout(_ => {
-        if (this.pending.length && this.ongoing < this.maxParallel) {
-          const next = this.pending.shift();
-          this.runThrottled(processFunction, ...next.params)
-            .then(result => next.resolve(result))
-            .catch(err => next.reject(err));
-        }
-      }, 0);
-
-      return result;
+        // Done with current task, trigger next pending task in the background
+        setTimeout(_ => {
+          if (this.pending.length && this.ongoing < this.maxParallel) {
+            const next = this.pending.shift();
+            this.runThrottled(processFunction, ...next.params)
+              .then(result => next.resolve(result))
+              .catch(err => next.reject(err));
+          }
+        }, 0);
+      }
     }
   }
 
@@ -108,7 +159,7 @@ export default class ThrottledQueue {
    * constructor is a function.
    */
   async runThrottledPerOrigin(url, processFunction, ...params) {
-    const origin = getOrigin(url);
+    const origin = getOrigin(url, this.originAliases);
     if (!this.originQueue[origin]) {
       this.originQueue[origin] = Promise.resolve(true);
     }
@@ -119,7 +170,9 @@ export default class ThrottledQueue {
           const interval = (typeof this.sleepInterval === 'function') ?
             this.sleepInterval(origin) :
             this.sleepInterval;
-          await sleep(interval);
+          if (!this.signal?.aborted) {
+            await sleep(interval);
+          }
           return result;
         })
         .then(resolve)
@@ -127,3 +180,6 @@ export default class ThrottledQueue {
     });
   }
 }
+
+
+export { defaultOriginAliases, getOrigin, mergeOriginAliases };
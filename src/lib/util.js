@@ -7,6 +7,7 @@ import path from 'node:path';
 import crypto from 'node:crypto';
 import { Buffer } from 'node:buffer';
 import { fileURLToPath } from 'node:url';
+import process from 'node:process';
 import puppeteer from 'puppeteer';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
@@ -66,9 +67,43 @@ const webidl2Folder = path.dirname(fileURLToPath(import.meta.resolve('webidl2'))
 
 
 /**
- * Puppeteer browser instance used to load and process specifications
+ * Default settings of the pool of browsers used to load and process
+ * specifications:
+ * - "size": the number of specs that may be processed in parallel
+ * - "isolation": "context" to process specs in isolated browser contexts of a
+ * single browser process, "process" to process specs in separate browser
+ * processes
+ * - "maxSpecs": the number of specs after which a browser context or process
+ * gets recycled (0 to never recycle)
+ * - "maxMemory": the memory threshold in MB above which a browser process gets
+ * recycled (0 to ignore memory usage). Memory usage can only be measured on
+ * Linux.
  */
-let browser = null;
+const defaultBrowserPoolSettings = {
+    size: 1,
+    isolation: 'context',
+    maxSpecs: 0,
+    maxMemory: 0
+};
+
+/**
+ * Pool of Puppeteer browser instances used to load and process
+ * specifications. The pool is created by setupBrowser. It has a list of
+ * "slots", each slot being a browser context or process that can process one
+ * spec at a time, a list of "free" slot indices, and a list of "waiting"
+ * functions to call when a slot gets freed. In "context" isolation mode, the
+ * pool also has a "shared" browser instance, and a "draining" flag set while
+ * the crawler checks whether that instance needs to be restarted, during
+ * which no slot may be acquired.
+ */
+let browserPool = null;
+
+/**
+ * Minimum interval between two scans of running processes to measure the
+ * memory used by browsers, in milliseconds, and last scan results.
+ */
+const processScanInterval = 10000;
+let processScan = null;
 
 /**
  * Promise resolved when there is no running instance of Puppeteer. This allows
@@ -84,6 +119,68 @@ let resolveBrowserClosed = null;
 let browserlib = null;
 
 
+/**
+ * Codes of errors that the crawler knows how to identify:
+ * - "http-error": the server responded with an HTTP error status
+ * - "network-error": the request could not be sent or did not complete
+ * - "respec-timeout": ReSpec did not finish generating the spec in time
+ * - "css-server-issue": the CSS drafts server returned a directory listing
+ * - "module-error": a processing module threw an exception
+ *
+ * Other errors get reported with an "unknown-error" code.
+ */
+const crawlErrorCodes = [
+    'http-error',
+    'network-error',
+    'respec-timeout',
+    'css-server-issue',
+    'module-error'
+];
+
+
+/**
+ * Create an error with the given code and additional properties.
+ *
+ * @function
+ * @public
+ * @param {String} code Error code, one of the codes in crawlErrorCodes
+ * @param {String} message Error message
+ * @param {Object} props Additional properties such as "url", "status",
+ *   "retryAfter", "module", or "cause" to set the underlying error
+ * @return {Error} The error
+ */
+function createCrawlError(code, message, props) {
+    const { cause, ...rest } = props ?? {};
+    const err = cause ? new Error(message, { cause }) : new Error(message);
+    return Object.assign(err, { code }, rest);
+}
+
+
+/**
+ * Count the crawl results that have an error, per error code.
+ *
+ * Errors that were recorded as plain strings (as done by previous versions of
+ * Reffy) are counted as "unknown-error".
+ *
+ * @function
+ * @public
+ * @param {Array(Object)} results List of spec crawl results
+ * @return {Object} An object whose keys are error codes and whose values are
+ *   the number of crawl results that have an error with that code
+ */
+function countErrorsByCode(results) {
+    const counts = {};
+    for (const spec of results) {
+        if (!spec.error) {
+            continue;
+        }
+        const code = spec.error.code ?? 'unknown-error';
+        counts[code] = (counts[code] ?? 0) + 1;
+    }
+    return counts;
+}
+
+
 /**
  * Expand list of browser modules with right set of descriptive properties
  * 
@@ -209,7 +306,285 @@ window.reffy.${module.name} = ${module.name};
 
 
 /**
- * Setup and launch browser instance to use to load and process specifications.
+ * Compute the settings of the browser pool, merging the given settings with
+ * the default ones.
+ *
+ * @function
+ * @public
+ * @param {Object} settings Browser pool settings (all optional), see
+ *   defaultBrowserPoolSettings for details
+ * @return {Object} Browser pool settings
+ * @throws {Error} when one of the settings is invalid
+ */
+function getBrowserPoolSettings(settings) {
+    const res = Object.assign({}, defaultBrowserPoolSettings, settings);
+    if (!Number.isInteger(res.size) || res.size < 1) {
+        throw new Error(`Invalid browser pool size "${res.size}", must be a positive integer`);
+    }
+    if (!['context', 'process'].includes(res.isolation)) {
+        throw new Error(`Invalid browser isolation mode "${res.isolation}", must be "context" or "process"`);
+    }
+    if (!Number.isInteger(res.maxSpecs) || res.maxSpecs < 0) {
+        throw new Error(`Invalid number of specs before recycling "${res.maxSpecs}", must be a non-negative integer`);
+    }
+    if (typeof res.maxMemory !== 'number' || !(res.maxMemory >= 0)) {
+        throw new Error(`Invalid browser memory threshold "${res.maxMemory}", must be a non-negative number`);
+    }
+    return res;
+}
+
+
+/**
+ * Launch a new browser instance.
+ *
+ * Note: switch "headless" to "false" (and comment out the calls to
+ * "browser.close()") to access dev tools in debug mode
+ */
+function launchBrowser() {
+    return puppeteer.launch({ headless: true });
+}
+
+
+/**
+ * Return the list of running processes, with their "pid", their parent "ppid"
+ * and their resident set size "rss" in pages. Scanning processes is costly,
+ * the list is only refreshed once per processScanInterval.
+ *
+ * @function
+ * @private
+ * @return {Promise(Array(Object))} The promise to get the list of processes
+ */
+async function listProcesses() {
+    if (processScan && Date.now() - processScan.time < processScanInterval) {
+        return processScan.processes;
+    }
+    const processes = [];
+    for (const entry of await fs.readdir('/proc')) {
+        if (!entry.match(/^\d+$/)) {
+            continue;
+        }
+        try {
+            // Fields after the command name, which may contain spaces, start
+            // with the state, the parent pid, and include the resident set
+            // size in pages as 22nd field
+            const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+            const fields = stat.substring(stat.lastIndexOf(')') + 2).split(' ');
+            processes.push({
+                pid: Number(entry),
+                ppid: Number(fields[1]),
+                rss: Number(fields[21])
+            });
+        }
+        catch {
+            // Process has already ended
+        }
+    }
+    processScan = { time: Date.now(), processes };
+    return processes;
+}
+
+
+/**
+ * Return the memory used by the given browser in MB, including the memory
+ * used by the processes that the browser spawned, or null if memory usage
+ * cannot be measured (memory is only measured on Linux).
+ *
+ * @function
+ * @private
+ * @param {Browser} browser Puppeteer browser instance
+ * @return {Promise(Number|null)} The promise to get the memory usage
+ */
+async function getBrowserMemoryUsage(browser) {
+    const pid = browser.process()?.pid;
+    if (!pid || process.platform !== 'linux') {
+        return null;
+    }
+    const processes = await listProcesses();
+    const tree = new Set([pid]);
+    let size = 0;
+    do {
+        size = tree.size;
+        for (const proc of processes) {
+            if (tree.has(proc.ppid)) {
+                tree.add(proc.pid);
+            }
+        }
+    } while (tree.size > size);
+    const pages = processes
+        .filter(proc => tree.has(proc.pid))
+        .reduce((total, proc) => total + proc.rss, 0);
+    return pages * 4096 / (1024 * 1024);
+}
+
+
+/**
+ * Create a new slot in the browser pool, launching a new browser process or
+ * creating a new browser context in the shared browser process depending on
+ * the isolation mode.
+ *
+ * @function
+ * @private
+ * @return {Promise(Object)} The promise to get a slot with a "browser"
+ *   property set to the browser instance, a "target" property set to the
+ *   browser or browser context in which pages need to be created, and a
+ *   "count" property set to the number of specs processed in the slot.
+ */
+async function createBrowserSlot() {
+    if (browserPool.settings.isolation === 'process') {
+        const browser = await launchBrowser();
+        return { browser, target: browser, count: 0 };
+    }
+
+    // Launch the shared browser if needed, making sure that it only gets
+    // launched once, and relaunch it if it crashed
+    const shared = browserPool.shared;
+    const current = shared ? await shared.catch(_ => null) : null;
+    if (!current?.connected && browserPool.shared === shared) {
+        browserPool.shared = launchBrowser();
+    }
+    const browser = await browserPool.shared;
+    const context = await browser.createBrowserContext();
+    return { browser, target: context, count: 0 };
+}
+
+
+/**
+ * Close the given browser instance, ignoring errors (the browser may have
+ * crashed).
+ *
+ * @function
+ * @private
+ * @param {Browser} browser The browser to close
+ */
+async function closeBrowser(browser) {
+    try {
+        await browser.close();
+    }
+    catch {
+        // Browser may have crashed or be already closed
+    }
+}
+
+
+/**
+ * Close the given slot, ignoring errors (the browser may have crashed).
+ *
+ * @function
+ * @private
+ * @param {Object} slot The slot to close
+ */
+async function closeBrowserSlot(slot) {
+    try {
+        await slot.target.close();
+    }
+    catch {
+        // Browser may have crashed or be already closed
+    }
+}
+
+
+/**
+ * Acquire a slot in the browser pool, waiting for one to be freed if needed.
+ * The function creates the slot if it does not exist yet, or if the browser
+ * crashed.
+ *
+ * @function
+ * @private
+ * @return {Promise(Number)} The promise to get the index of the slot
+ */
+async function acquireBrowserSlot() {
+    while (browserPool.free.length === 0 || browserPool.draining) {
+        await new Promise(resolve => browserPool.waiting.push(resolve));
+    }
+    const idx = browserPool.free.shift();
+    try {
+        const slot = browserPool.slots[idx];
+        if (!slot || !slot.browser.connected) {
+            if (slot) {
+                await closeBrowserSlot(slot);
+            }
+            browserPool.slots[idx] = await createBrowserSlot();
+        }
+    }
+    catch (err) {
+        releaseBrowserSlot(idx);
+        throw err;
+    }
+    return idx;
+}
+
+
+/**
+ * Release a slot in the browser pool, recycling the slot first if needed.
+ *
+ * @function
+ * @private
+ * @param {Number} idx Index of the slot to release
+ * @param {Boolean} recycle Whether the slot must be recycled
+ */
+async function releaseBrowserSlot(idx, recycle) {
+    const pool = browserPool;
+    const slot = pool.slots[idx];
+    if (slot && recycle) {
+        pool.slots[idx] = null;
+        await closeBrowserSlot(slot);
+    }
+
+    // In "context" isolation mode, memory gets used by the shared browser.
+    // Let's restart it when it uses too much memory and is no longer used.
+    // The pool is drained in the meantime so that no other spec may start
+    // using the shared browser until the check is over.
+    const settings = pool.settings;
+    if (settings.isolation === 'context' && settings.maxMemory && slot &&
+            pool.free.length === settings.size - 1 && !pool.draining) {
+        pool.draining = true;
+        try {
+            const memory = await getBrowserMemoryUsage(slot.browser);
+            if (memory !== null && memory > settings.maxMemory) {
+                pool.shared = null;
+                pool.slots = pool.slots.map(_ => null);
+                await closeBrowser(slot.browser);
+            }
+        }
+        finally {
+            pool.draining = false;
+            pool.free.push(idx);
+            for (const resolve of pool.waiting.splice(0)) {
+                resolve();
+            }
+        }
+        return;
+    }
+    pool.free.push(idx);
+    pool.waiting.shift()?.();
+}
+
+
+/**
+ * Return true if the given slot needs to be recycled after a spec was
+ * processed, given browser pool settings.
+ *
+ * @function
+ * @private
+ * @param {Object} slot The slot
+ * @return {Promise(Boolean)} The promise to get the result
+ */
+async function needsRecycling(slot) {
+    const settings = browserPool.settings;
+    if (settings.maxSpecs && slot.count >= settings.maxSpecs) {
+        return true;
+    }
+    if (settings.maxMemory && settings.isolation === 'process') {
+        const memory = await getBrowserMemoryUsage(slot.browser);
+        return memory !== null && memory > settings.maxMemory;
+    }
+    return false;
+}
+
+
+/**
+ * Setup the pool of browsers to use to load and process specifications, and
+ * launch a first browser instance.
  *
  * The function must be called before any attempt to call `processSpecification`
  * and should only be called once.
@@ -217,26 +592,45 @@ window.reffy.${module.name} = ${module.name};
  * The function also generates the code that will inject the `reffy` namespace
  * in each processed page.
  *
- * Note: Switch `headless` to `false` to access dev tools and debug processing
+ * Note: Switch `headless` to `false` in `launchBrowser` to access dev tools
+ * and debug processing
  *
  * @function
  * @public
+ * @param {Array} modules Browser modules to inject in processed pages
+ * @param {Object} settings Browser pool settings (see
+ *   defaultBrowserPoolSettings)
  */
-async function setupBrowser(modules) {
+async function setupBrowser(modules, settings) {
+    settings = getBrowserPoolSettings(settings);
+
     // There can be only one crawl running at a time
     await browserClosed;
     browserClosed = new Promise(resolve => resolveBrowserClosed = resolve);
 
-    // Create browser instance
-    // Note: switch "headless" to "false" (and comment out the call to
-    // "browser.close()") to access dev tools in debug mode
-    browser = await puppeteer.launch({ headless: true });
+    browserPool = {
+        settings,
+        slots: range(settings.size).map(_ => null),
+        free: range(settings.size),
+        waiting: [],
+        shared: null,
+        draining: false
+    };
+    try {
+        browserPool.slots[0] = await createBrowserSlot();
+    }
+    catch (err) {
+        browserPool = null;
+        resolveBrowserClosed();
+        resolveBrowserClosed = null;
+        throw err;
+    }
     setupBrowserlib(modules);
 }
 
 
 /**
- * Close and destroy browser instance.
+ * Close and destroy the browser instances in the pool.
  *
  * The function should be called once at the end of the processing.
  *
@@ -244,9 +638,18 @@ async function setupBrowser(modules) {
  * @public
  */
 async function teardownBrowser() {
-    if (browser) {
-        await browser.close();
-        browser = null;
+    if (browserPool) {
+        const pool = browserPool;
+        browserPool = null;
+        for (const slot of pool.slots.filter(slot => !!slot)) {
+            if (pool.settings.isolation === 'process') {
+                await closeBrowser(slot.browser);
+            }
+        }
+        const shared = pool.shared ? await pool.shared.catch(_ => null) : null;
+        if (shared) {
+            await closeBrowser(shared);
+        }
         resolveBrowserClosed();
         resolveBrowserClosed = null;
     }
@@ -305,7 +708,26 @@ async function teardownBrowser() {
  *   by Node.js's "fetch" function (as opposed to falling back to Puppeteer's
  *   network and caching logic), which is useful to keep full control of network
  *   requests in tests. The "etag" and "lastModified" options give input
- *   to the conditional fetch request sent for the primary crawled URL
+ *   to the conditional fetch request sent for the primary crawled URL. The
+ *   "refresh" option overrides the cache refresh strategy of the fetch
+ *   function (e.g. "force" to bypass cached responses). The "archive" option
+ *   is a NetworkArchive instance (see network-archive.js) through which all
+ *   network requests go, to record them or to replay them from the archive.
+ *   The "saveSnapshot" flag tells the function to return the serialization
+ *   of the generated DOM in a "snapshot" property of the results. The
+ *   "snapshot" option is such a serialization, to be loaded at the spec URL
+ *   instead of the actual spec, without any network request. The "signal"
+ *   option is an AbortSignal that cancels the processing, aborting network
+ *   requests and closing pages, in which case the function throws the abort
+ *   reason. The "metrics" flag tells the function to return performance
+ *   metrics in a "metrics" property of the results: time spent fetching the
+ *   spec, loading the page (including subpages), waiting for the generation
+ *   of the spec and running the processing function, in milliseconds, along
+ *   with the number of network requests served through the interception
+ *   layer and the number of bytes they transferred.
+ *   Errors thrown by the function have a "code" property set to one of
+ *   crawlErrorCodes when the error could be identified, along with a "url"
+ *   property and, for HTTP errors, "status" and "retryAfter" properties.
  * @return {Promise} The promise to get the results of the processing function
  */
 async function processSpecification(spec, processFunction, args, options) {
@@ -313,17 +735,103 @@ async function processSpecification(spec, processFunction, args, options) {
     processFunction = processFunction || function () {};
     args = args || [];
     options = options || {};
-    let prefetchedResponse = {};
 
-    if (!browser) {
+    if (!browserPool) {
         throw new Error('Browser instance not initialized, setupBrowser() must be called before processSpecification().');
     }
-    options.userAgent = options.userAgent ?? await browser.userAgent();
+    options.signal?.throwIfAborted();
+
+    let crashed = false;
+    while (true) {
+        const pool = browserPool;
+        const idx = await acquireBrowserSlot();
+        const slot = pool.slots[idx];
+        let recycle = false;
+        try {
+            options.userAgent = options.userAgent ?? await slot.browser.userAgent();
+            const result = await processSpecificationInBrowser(
+                slot.target, spec, processFunction, args, options);
+            slot.count += 1;
+            recycle = await needsRecycling(slot);
+            return result;
+        }
+        catch (err) {
+            // Browser crashed while processing the spec? Restart it and
+            // process the spec again (once)
+            if (!slot.browser.connected && !crashed && browserPool &&
+                    !options.signal?.aborted) {
+                crashed = true;
+                options.quiet ?? console.warn(`[warn] Browser crashed while processing ${spec.url}, restarting`);
+                continue;
+            }
+            throw err;
+        }
+        finally {
+            if (browserPool === pool) {
+                await releaseBrowserSlot(idx, recycle);
+            }
+        }
+    }
+}
+
+
+/**
+ * Load and process the given specification in the given browser or browser
+ * context (see processSpecification for parameters).
+ *
+ * @function
+ * @private
+ */
+async function processSpecificationInBrowser(target, spec, processFunction, args, options) {
+    let prefetchedResponse = {};
 
     // Create an abort controller for network requests directly handled by the
     // Node.js code (and not by Puppeteer)
     const abortController = new AbortController();
 
+    // Abort network requests and close pages when the caller aborts the
+    // processing, so that pending page loads and evaluations fail right away
+    const openPages = new Set();
+    function onAbort() {
+        abortController.abort();
+        for (const openPage of openPages) {
+            openPage.close().catch(_ => {});
+        }
+    }
+    options.signal?.addEventListener('abort', onAbort);
+
+    // Performance metrics (see "metrics" option)
+    const metrics = {
+        fetch: 0, load: 0, generation: 0, extraction: 0,
+        requests: 0, bytes: 0
+    };
+    let start;
+
+    // Cache refresh strategy, if caller wants to override the default one
+    // (typically to avoid reusing cached error responses when a crawl is
+    // retried)
+    const fetchOptions = options.refresh ? { refresh: options.refresh } : {};
+
+    // URL at which the snapshot gets served, if one is used (CDP reports
+    // request URLs without fragments)
+    let snapshotUrl = null;
+    if (options.snapshot !== undefined) {
+        const url = new URL(spec.url);
+        url.hash = '';
+        snapshotUrl = url.toString();
+    }
+
+    // Inner function that fetches a resource, going through the network
+    // archive if one is used. Requests other than GET requests are not
+    // handled by our file cache and are sent with Node.js's fetch function.
+    function fetchResource(url, params) {
+        const fetchFunction = (params.method ?? 'GET') === 'GET' ?
+            fetch : globalThis.fetch;
+        return options.archive ?
+            options.archive.fetch(url, params, fetchFunction) :
+            fetchFunction(url, params);
+    }
+
     // Inner function that returns a network interception method suitable for
     // a given CDP session.
     function interceptRequest(cdp, controller) {
@@ -399,15 +907,38 @@ async function processSpecification(spec, processFunction, args, options) {
                         body: body.toString('base64')
                     });
                 }
+                else if (options.snapshot !== undefined) {
+                    // Loading a snapshot, serve it for the spec URL and fail
+                    // all other network requests
+                    if (request.url === snapshotUrl) {
+                        await cdp.send('Fetch.fulfillRequest', {
+                            requestId,
+                            responseCode: 200,
+                            responseHeaders: [{ name: 'Content-Type', value: 'text/html; charset=utf-8' }],
+                            body: Buffer.from(options.snapshot).toString('base64')
+                        });
+                    }
+                    else {
+                        await cdp.send('Fetch.failRequest', { requestId, errorReason: 'Failed' });
+                    }
+                }
                 else {
-                    if ((request.method !== 'GET') ||
+                    // Requests other than GET requests (e.g. xref lookups)
+                    // are only intercepted when a network archive is used
+                    if ((request.method !== 'GET' && !options.archive) ||
                         (!request.url.startsWith('http:') && !request.url.startsWith('https:'))) {
                         await cdp.send('Fetch.continueRequest', { requestId });
                         return;
                     }
+                    const params = request.method === 'GET' ? {} :
+                        { method: request.method, body: request.postData };
                     const response = prefetchedResponse[request.url] ??
-                        await fetch(request.url, { signal: controller.signal, headers: request.headers });
+                        await fetchResource(request.url, Object.assign(
+                            { signal: controller.signal, headers: request.headers },
+                            params, fetchOptions));
                     const body = Buffer.from(await response.arrayBuffer());
+                    metrics.requests += 1;
+                    metrics.bytes += body.length;
 
                     const headers = [];
                     response.headers.forEach((value, name) => {
@@ -433,8 +964,10 @@ async function processSpecification(spec, processFunction, args, options) {
 
                 // Fetch from file cache failed somehow
                 // Let Puppeteer handle the request as fallback unless
-                // calling function asked us not to do that
-                if (options.forceLocalFetch) {
+                // calling function asked us not to do that, or unless a
+                // network archive is used (requests that are not in the
+                // archive must fail)
+                if (options.forceLocalFetch || options.archive) {
                     options.quiet ?? console.warn(`[warn] Network request for ${request.url} failed`, err);
                     await cdp.send('Fetch.failRequest', { requestId, errorReason: 'Failed' });
                 }
@@ -458,7 +991,7 @@ async function processSpecification(spec, processFunction, args, options) {
         // This allow to skip launching a browser
         // if we have a fallback data source
         // with a defined cache target for the spec
-        if (!spec.url.startsWith('file://')) {
+        if (!spec.url.startsWith('file://') && options.snapshot === undefined) {
           let response;
           // We set a conditional request header
           // Use If-Modified-Since in preference as it is in practice
@@ -474,23 +1007,32 @@ async function processSpecification(spec, processFunction, args, options) {
             headers["If-None-Match"] = options.etag;
           }
           try {
-            response = await fetch(spec.url, {headers});
+            start = Date.now();
+            response = await fetchResource(spec.url, Object.assign(
+              { signal: abortController.signal, headers }, fetchOptions));
+            metrics.fetch = Date.now() - start;
             if (response.status === 304) {
               return {status: "notmodified"};
             }
             prefetchedResponse[spec.url] = response;
           } catch (err) {
-            throw new Error(`Loading ${spec.url} triggered network error`, { cause: err });
+            throw createCrawlError('network-error',
+              `Loading ${spec.url} triggered network error`,
+              { url: spec.url, cause: err });
           }
           if (response.status !== 200) {
-            throw new Error(`Loading ${spec.url} triggered HTTP status ${response.status}`);
+            throw createCrawlError('http-error',
+              `Loading ${spec.url} triggered HTTP status ${response.status}`,
+              { url: spec.url, status: response.status, retryAfter: response.headers.get('retry-after') });
           }
         }
-        const page = await browser.newPage();
+        const page = await target.newPage();
+        openPages.add(page);
         await page.setUserAgent(options.userAgent);
 
         // Disable cache if caller wants to handle all network requests
-        await page.setCacheEnabled(!options.forceLocalFetch);
+        await page.setCacheEnabled(!options.forceLocalFetch && !options.archive &&
+            (options.snapshot === undefined));
 
         // Intercept all network requests to use our own version of "fetch"
         // that makes use of the local file cache.
@@ -527,6 +1069,7 @@ async function processSpecification(spec, processFunction, args, options) {
 
         // Load the page
         // (note HTTP status is 0 when `file://` URLs are loaded)
+        start = Date.now();
         let cacheInfo;
         if (spec.html) {
             await page.setContent(spec.html, loadOptions);
@@ -536,10 +1079,14 @@ async function processSpecification(spec, processFunction, args, options) {
             try {
               result = await page.goto(spec.url, loadOptions);
             } catch (err) {
-              throw new Error(`Loading ${spec.url} triggered network error`, { cause: err });
+              throw createCrawlError('network-error',
+                `Loading ${spec.url} triggered network error`,
+                { url: spec.url, cause: err });
             }
             if ((result.status() !== 200) && (!spec.url.startsWith('file://') || (result.status() !== 0))) {
-              throw new Error(`Loading ${spec.url} triggered HTTP status ${result.status()}`);
+              throw createCrawlError('http-error',
+                `Loading ${spec.url} triggered HTTP status ${result.status()}`,
+                { url: spec.url, status: result.status(), retryAfter: result.headers()['retry-after'] });
             }
             const responseHeaders = result.headers();
             // Use Last-Modified in preference as it is in practice
@@ -558,9 +1105,10 @@ async function processSpecification(spec, processFunction, args, options) {
             const pages = [];
             for (const url of pageUrls) {
                 const subAbort = new AbortController();
-                const subPage = await browser.newPage();
+                const subPage = await target.newPage();
+                openPages.add(subPage);
                 await subPage.setUserAgent(options.userAgent);
-                await subPage.setCacheEnabled(!options.forceLocalFetch);
+                await subPage.setCacheEnabled(!options.forceLocalFetch && !options.archive);
                 const subCdp = await subPage.target().createCDPSession();
                 await subCdp.send('Fetch.enable');
                 subCdp.on('Fetch.requestPaused', interceptRequest(subCdp, subAbort));
@@ -568,7 +1116,9 @@ async function processSpecification(spec, processFunction, args, options) {
                     // (Note HTTP status is 0 when `file://` URLs are loaded)
                     const subresult = await subPage.goto(url, loadOptions);
                     if ((subresult.status() !== 200) && (!url.startsWith('file://') || (subresult.status() !== 0))) {
-                        throw new Error(`Loading ${spec.url} triggered HTTP status ${subresult.status()} when loading ${url}`);
+                        throw createCrawlError('http-error',
+                            `Loading ${spec.url} triggered HTTP status ${subresult.status()} when loading ${url}`,
+                            { url, status: subresult.status(), retryAfter: subresult.headers()['retry-after'] });
                     }
                     const html = await subPage.evaluate(() => {
                         return document.body.outerHTML
@@ -581,6 +1131,7 @@ async function processSpecification(spec, processFunction, args, options) {
                     subAbort.abort();
                     await subCdp.detach();
                     await subPage.close();
+                    openPages.delete(subPage);
                 }
             }
             await page.evaluate(pages => {
@@ -592,8 +1143,10 @@ async function processSpecification(spec, processFunction, args, options) {
                 }
             }, pages);
         }
+        metrics.load = Date.now() - start;
 
         // Wait until the generation of the spec is completely over
+        start = Date.now();
         await page.evaluate(async () => {
             // Detect draft CSS server hiccups as done in browser-specs:
             // https://github.com/w3c/browser-specs/blob/b31fc0b03ba67a19162883afc30e01fcec3c600d/src/fetch-info.js#L292
@@ -628,7 +1181,37 @@ async function processSpecification(spec, processFunction, args, options) {
             }
 
             await isReady();
+        }).catch(err => {
+            // Errors thrown in the browser context come with a message but
+            // without any code, let's give them one
+            if (err.message?.includes('CSS server issue detected')) {
+                throw createCrawlError('css-server-issue', err.message,
+                    { url: spec.url, cause: err });
+            }
+            else if (err.message?.includes('Respec generation took too long')) {
+                throw createCrawlError('respec-timeout', err.message,
+                    { url: spec.url, cause: err });
+            }
+            throw err;
         });
+        metrics.generation = Date.now() - start;
+
+        // Serialize the generated DOM if caller wants to save a snapshot.
+        // Scripts are dropped not to run ReSpec or other scripts again when
+        // the snapshot gets loaded.
+        let snapshot;
+        if (options.saveSnapshot) {
+            snapshot = await page.evaluate(() => {
+                const root = document.documentElement.cloneNode(true);
+                for (const script of root.querySelectorAll('script')) {
+                    const type = script.getAttribute('type') ?? '';
+                    if (!type || type.match(/javascript|ecmascript|module/i)) {
+                        script.remove();
+                    }
+                }
+                return '<!DOCTYPE html>\n' + root.outerHTML;
+            });
+        }
 
         // Capture and report Reffy's browserlib warnings
         page.on('console', msg => {
@@ -660,8 +1243,16 @@ async function processSpecification(spec, processFunction, args, options) {
         });
 
         // Run the processFunction method in the browser context
+        start = Date.now();
         const results = await page.evaluate(processFunction, ...args);
+        metrics.extraction = Date.now() - start;
         results.crawlCacheInfo = cacheInfo;
+        if (snapshot !== undefined) {
+            results.snapshot = snapshot;
+        }
+        if (options.metrics) {
+            results.metrics = metrics;
+        }
         // Pending network requests may still be in the queue, flag the page
         // as closed not to send commands on a CDP session that's no longer
         // attached to anything
@@ -674,9 +1265,17 @@ async function processSpecification(spec, processFunction, args, options) {
 
         return results;
     }
+    catch (err) {
+        // Report the cancellation, not the errors that it triggered
+        if (options.signal?.aborted) {
+            throw options.signal.reason;
+        }
+        throw err;
+    }
     finally {
         // Signal abortion again (in case an exception was thrown)
         abortController.abort();
+        options.signal?.removeEventListener('abort', onAbort);
     }
 }
 
@@ -1051,9 +1650,10 @@ function getInterfaceTreeInfo(iface, interfaces) {
  *
  * The function is provided by the Ajv library. The schema name can be one of:
  * "extract-xxx.json" to target schemas under browserlib, "css", "dfns", ...
- * to target schemas under files/extracts, "index.json", "events.json",
- * "idlnames.json", "idlparsed" or "idlnamesparsed". Additional schemas may be
- * added over time as more extraction facilities are added to Reffy.
+ * to target schemas under files/extracts, "index.json", "project-config.json",
+ * "events.json", "idlnames.json", "idlparsed" or "idlnamesparsed". Additional
+ * schemas may be added over time as more extraction facilities are added to
+ * Reffy.
  *
  * @function
  * @public
@@ -1068,6 +1668,7 @@ async function getSchemaValidationFunction(schemaName) {
     function getSchemaFileFromSchemaName(name) {
         switch (name) {
             case 'index.json':
+            case 'project-config.json':
                 return path.join('files', name);
             case 'backrefs':
                 return path.join('postprocessing', 'backrefs.json');
@@ -1156,6 +1757,10 @@ function shouldSaveToFile(crawlOptions) {
 
 export {
     fetch,
+    getBrowserPoolSettings,
+    crawlErrorCodes,
+    createCrawlError,
+    countErrorsByCode,
     expandBrowserModules,
     setupBrowser,
     teardownBrowser,
@@ -1,11 +1,12 @@
 import { describe, it, after } from 'node:test';
-import { crawlSpecs } from "../src/lib/specs-crawler.js";
+import { crawlSpecs, extractFromHtml } from "../src/lib/specs-crawler.js";
 import mockServer from '../src/lib/mock-server.js';
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
 import assert from "node:assert";
 import process from 'node:process';
+import { EventEmitter } from 'node:events';
 import { fileURLToPath } from 'node:url';
 import { loadJSON } from "../src/lib/util.js";
 
@@ -76,6 +77,370 @@ describe("The crawler", {timeout: 60000}, function () {
     assert.equal(results[0].title, 'A test spec');
   });
 
+  it("streams results as NDJSON when `--ndjson` is set", async () => {
+    const fileurl = (new URL('crawl-spec.html', `file://${scriptPath}/`)).href;
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+      await crawlSpecs({
+        specs: [{ url: fileurl, nightly: { url: fileurl } }],
+        modules: ['title', 'events'],
+        post: ['events'],
+        forceLocalFetch: true,
+        ndjson: true,
+        quiet: true
+      });
+    }
+    finally {
+      console.log = log;
+    }
+    assert.equal(lines.length, 2);
+    const [spec, post] = lines.map(line => JSON.parse(line));
+    assert.equal(spec.title, 'A test spec');
+    assert.equal(post.mod, 'events');
+    assert(Array.isArray(post.result));
+  });
+
+  it("streams crawl summaries as NDJSON when `--summary` is set", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = 'https://example.org/spec/';
+    fs.writeFileSync(path.join(folder, 'index.json'), JSON.stringify({
+      type: 'crawl',
+      results: [{ url, shortname: 'spec', nightly: { url }, title: 'Spec' }]
+    }));
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+      await crawlSpecs({ useCrawl: folder, ndjson: true, summary: true, quiet: true });
+    }
+    finally {
+      console.log = log;
+    }
+    assert.equal(lines.length, 1);
+    assert.equal(typeof JSON.parse(lines[0]).crawlSummary, 'string');
+  });
+
+  it("emits progress events", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = 'https://example.org/spec/';
+    fs.writeFileSync(path.join(folder, 'index.json'), JSON.stringify({
+      type: 'crawl',
+      results: [{ url, shortname: 'spec', nightly: { url }, title: 'Spec' }]
+    }));
+    const emitter = new EventEmitter();
+    const events = [];
+    for (const name of ['crawl-start', 'spec-start', 'spec-done', 'crawl-done']) {
+      emitter.on(name, detail => events.push({ name, detail }));
+    }
+    const index = await crawlSpecs({
+      useCrawl: folder,
+      output: '{return}',
+      quiet: true,
+      emitter
+    });
+    assert.deepEqual(events.map(event => event.name),
+      ['crawl-start', 'spec-start', 'spec-done', 'crawl-done']);
+    assert.equal(events[0].detail.total, 1);
+    assert.equal(events[1].detail.url, url);
+    assert.equal(events[2].detail.result.title, 'Spec');
+    assert.equal(typeof events[2].detail.duration, 'number');
+    assert.deepEqual(events[3].detail.stats, index.stats);
+    assert.equal(index.options.emitter, undefined);
+  });
+
+  it("emits progress events through an EventTarget or callbacks", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = 'https://example.org/spec/';
+    fs.writeFileSync(path.join(folder, 'index.json'), JSON.stringify({
+      type: 'crawl',
+      results: [{ url, shortname: 'spec', nightly: { url }, title: 'Spec' }]
+    }));
+
+    const target = new EventTarget();
+    const events = [];
+    target.addEventListener('spec-done', event => events.push(event.detail));
+    await crawlSpecs({ useCrawl: folder, output: '{return}', quiet: true, emitter: target });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].result.title, 'Spec');
+
+    const callbacks = [];
+    const index = await crawlSpecs({
+      useCrawl: folder,
+      output: '{return}',
+      quiet: true,
+      emitter: {
+        'spec-start': _ => { throw new Error('Listener failure'); },
+        'crawl-done': detail => callbacks.push(detail)
+      }
+    });
+    assert.equal(index.results[0].title, 'Spec');
+    assert.deepEqual(callbacks[0].stats, index.stats);
+
+    await assert.rejects(
+      crawlSpecs({ useCrawl: folder, quiet: true, emitter: { 'spec-ended': _ => {} } }),
+      /unknown progress event "spec-ended"/);
+    await assert.rejects(
+      crawlSpecs({ useCrawl: folder, quiet: true, emitter: 'progress' }),
+      /Invalid emitter option/);
+  });
+
+  it("returns partial results when the crawl gets cancelled", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = ['a', 'b', 'c'].map(shortname => {
+      const url = `https://example.org/${shortname}/`;
+      return { url, shortname, nightly: { url }, title: shortname };
+    });
+    fs.writeFileSync(path.join(folder, 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    const controller = new AbortController();
+    const emitter = new EventEmitter();
+    emitter.on('spec-done', _ => controller.abort());
+    const index = await crawlSpecs({
+      useCrawl: folder,
+      output: '{return}',
+      quiet: true,
+      emitter,
+      signal: controller.signal
+    });
+    assert.equal(index.incomplete, true);
+    assert.deepEqual(index.results.map(spec => spec.shortname), ['a']);
+    assert.equal(index.stats.crawled, 1);
+  });
+
+  it("extracts data from an HTML string", async () => {
+    const html = fs.readFileSync(path.join(scriptPath, 'crawl-spec.html'), 'utf8');
+    const result = await extractFromHtml(html, {
+      baseUrl: 'https://example.org/preview/',
+      modules: ['title'],
+      quiet: true
+    });
+    assert.ifError(result.error);
+    assert.equal(result.title, 'A test spec');
+    assert.equal(result.crawled, 'https://example.org/preview/');
+  });
+
+  it("needs a base URL to extract data from an HTML string", async () => {
+    await assert.rejects(
+      extractFromHtml('<title>Spec</title>', { modules: ['title'] }),
+      /base URL is needed/);
+  });
+
+  it("keeps extracts of other modules when a module fails", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const file = path.join(folder, 'oops.mjs');
+    fs.writeFileSync(file, `export default function () { throw new Error('Oops'); }`);
+    const result = await extractFromHtml('<title>Spec</title>', {
+      baseUrl: 'https://example.org/preview/',
+      modules: ['title', { href: path.relative(process.cwd(), file), property: 'oops' }],
+      quiet: true
+    });
+    assert.ifError(result.error);
+    assert.equal(result.title, 'Spec');
+    assert.equal(result.oops, undefined);
+    assert.equal(result.moduleErrors.oops.code, 'module-error');
+    assert.equal(result.moduleErrors.oops.module, 'oops');
+    assert(result.moduleErrors.oops.message.includes('Oops'));
+  });
+
+  it("uses fallback data for modules that fail", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const file = path.join(folder, 'oops.mjs');
+    fs.writeFileSync(file, `export default function () { throw new Error('Oops'); }`);
+    const url = 'https://w3c.github.io/woff/woff2/';
+    const fallback = path.join(folder, 'index.json');
+    fs.writeFileSync(fallback, JSON.stringify({
+      results: [{ url, title: 'Fallback title', oops: 'Fallback oops' }]
+    }));
+    const index = await crawlSpecs({
+      specs: [{ url, nightly: { url, pages: ['https://w3c.github.io/woff/woff2/page.html'] } }],
+      modules: ['title', { href: path.relative(process.cwd(), file), property: 'oops' }],
+      forceLocalFetch: true,
+      fallback,
+      output: '{return}',
+      quiet: true
+    });
+    const result = index.results[0];
+    assert.ifError(result.error);
+    assert.notEqual(result.title, 'Fallback title');
+    assert.equal(result.oops, 'Fallback oops');
+    assert.equal(result.moduleErrors.oops.fallback, true);
+    assert.equal(index.stats.moduleErrors, 1);
+  });
+
+  it("reports performance metrics when `--metrics` is set", async () => {
+    const url = 'https://w3c.github.io/woff/woff2/';
+    const index = await crawlSpecs({
+      specs: [{ url, nightly: { url, pages: ['https://w3c.github.io/woff/woff2/page.html'] } }],
+      modules: ['title', 'dfns'],
+      post: ['idlparsed'],
+      forceLocalFetch: true,
+      metrics: true,
+      output: '{return}',
+      quiet: true
+    });
+    const metrics = index.results[0].metrics;
+    for (const key of ['fetch', 'load', 'generation', 'extraction', 'requests', 'bytes', 'total']) {
+      assert.equal(typeof metrics[key], 'number', `Metric "${key}" is not a number`);
+    }
+    assert(metrics.requests > 0);
+    assert(metrics.bytes > 0);
+    assert.deepEqual(Object.keys(metrics.modules), ['title', 'dfns']);
+    assert.deepEqual(Object.keys(metrics.post), ['idlparsed']);
+    assert.deepEqual(index.stats.metrics, metrics);
+  });
+
+  it("sums up post-processing metrics in crawl stats", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = ['a', 'b'].map(shortname => {
+      const url = `https://example.org/${shortname}/`;
+      return { url, shortname, nightly: { url }, title: shortname };
+    });
+    fs.writeFileSync(path.join(folder, 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    const index = await crawlSpecs({
+      useCrawl: folder,
+      post: ['idlparsed'],
+      metrics: true,
+      output: '{return}',
+      quiet: true
+    });
+    for (const spec of index.results) {
+      assert.equal(typeof spec.metrics.post.idlparsed, 'number');
+      assert.equal(typeof spec.metrics.total, 'number');
+    }
+    assert.equal(index.stats.metrics.post.idlparsed,
+      index.results[0].metrics.post.idlparsed +
+      index.results[1].metrics.post.idlparsed);
+  });
+
+  it("reports the time spent in crawl-level post-processing modules", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = 'https://example.org/spec/';
+    fs.writeFileSync(path.join(folder, 'index.json'), JSON.stringify({
+      type: 'crawl',
+      results: [{ url, shortname: 'spec', nightly: { url }, title: 'Spec' }]
+    }));
+    const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    await crawlSpecs({
+      useCrawl: folder,
+      post: ['events'],
+      metrics: true,
+      output,
+      quiet: true
+    });
+    const index = await loadJSON(path.join(output, 'index.json'));
+    assert.equal(typeof index.stats.metrics.post.events, 'number');
+  });
+
+  it("validates extracts against their schemas when `--validate` is set", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = ['valid', 'invalid'].map(shortname => {
+      const url = `https://example.org/${shortname}/`;
+      return {
+        url, shortname, nightly: { url }, title: shortname, crawled: url,
+        refs: { normative: [], informative: [] },
+        dfns: shortname === 'valid' ? [] : [{ id: 'oops' }]
+      };
+    });
+    fs.writeFileSync(path.join(folder, 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    const index = await crawlSpecs({
+      useCrawl: folder,
+      validate: true,
+      output: '{return}',
+      quiet: true
+    });
+    assert.equal(index.results[0].validationWarnings, undefined);
+    const warnings = index.results[1].validationWarnings;
+    assert(warnings.length > 0);
+    assert(warnings.every(warning => warning.property === 'dfns'));
+    assert(warnings.every(warning => warning.module === 'extractDfns'));
+    assert(warnings.every(warning => warning.path.startsWith('/dfns/0')));
+    assert.equal(index.stats.validationWarnings, warnings.length);
+
+    await assert.rejects(crawlSpecs({
+      useCrawl: folder,
+      validate: 'fail',
+      output: '{return}',
+      quiet: true
+    }), /Extracts do not validate against their JSON schemas/);
+  });
+
+  it("filters specs on their metadata", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = [
+      { shortname: 'a', organization: 'W3C', groups: [{ name: 'CSS Working Group' }], categories: ['browser'] },
+      { shortname: 'b', organization: 'WHATWG', groups: [{ name: 'DOM Workstream' }], categories: ['browser'] },
+      { shortname: 'c', organization: 'W3C', groups: [{ name: 'Web Applications Working Group' }], categories: [] }
+    ].map(spec => {
+      const url = `https://example.org/${spec.shortname}/`;
+      return Object.assign({ url, nightly: { url } }, spec);
+    });
+    fs.writeFileSync(path.join(folder, 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    const crawl = async filter => (await crawlSpecs({
+      useCrawl: folder,
+      output: '{return}',
+      quiet: true,
+      filter
+    })).results.map(spec => spec.shortname);
+    assert.deepEqual(await crawl(['organization=w3c']), ['a', 'c']);
+    assert.deepEqual(await crawl(['organization=W3C', 'category!=browser']), ['c']);
+    assert.deepEqual(await crawl(['group=CSS Working Group,DOM Workstream']), ['a', 'b']);
+    assert.deepEqual(await crawl(['nightly.url=https://example.org/b/']), ['b']);
+    await assert.rejects(crawl(['organization']), /Invalid spec filter/);
+  });
+
+  it("merges crawl options with the project configuration file", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = ['a', 'b'].map(shortname => {
+      const url = `https://example.org/${shortname}/`;
+      return { url, shortname, nightly: { url }, title: shortname };
+    });
+    fs.mkdirSync(path.join(folder, 'crawl'));
+    fs.writeFileSync(path.join(folder, 'crawl', 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    const config = path.join(folder, 'reffy.config.json');
+    fs.writeFileSync(config, JSON.stringify({
+      useCrawl: 'crawl',
+      filter: ['shortname=a'],
+      output: 'reports'
+    }));
+    const index = await crawlSpecs({ config, output: '{return}', quiet: true });
+    assert.deepEqual(index.results.map(spec => spec.shortname), ['a']);
+    assert.equal(index.options.config, undefined);
+    assert(!fs.existsSync(path.join(folder, 'reports')));
+  });
+
+  it("ignores project configuration files in the current folder", async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const results = ['a', 'b'].map(shortname => {
+      const url = `https://example.org/${shortname}/`;
+      return { url, shortname, nightly: { url }, title: shortname };
+    });
+    fs.writeFileSync(path.join(folder, 'index.json'),
+      JSON.stringify({ type: 'crawl', results }));
+    fs.writeFileSync(path.join(folder, 'reffy.config.json'),
+      JSON.stringify({ filter: ['shortname=a'] }));
+    const cwd = process.cwd();
+    process.chdir(folder);
+    try {
+      const index = await crawlSpecs({ useCrawl: folder, output: '{return}', quiet: true });
+      assert.deepEqual(index.results.map(spec => spec.shortname), ['a', 'b']);
+    }
+    finally {
+      process.chdir(cwd);
+    }
+  });
+
+  it("rejects NDJSON output combined with other output options", async () => {
+    await assert.rejects(
+      crawlSpecs({ specs: [], ndjson: true, output: '{return}' }),
+      /NDJSON output cannot be combined/);
+  });
+
   it("matches spec shortnames", async () => {
     const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
     const refResults = JSON.parse(fs.readFileSync(scriptPath + "/crawl-test.json", "utf-8"))
@@ -140,7 +505,11 @@ describe("The crawler", {timeout: 60000}, function () {
       [{ url, nightly: { url } }],
       { forceLocalFetch: true });
     assert.equal(results[0].title, "[Could not be determined, see error]");
-    assert(results[0].error.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
+    assert.equal(results[0].error.code, "http-error");
+    assert.equal(results[0].error.status, 404);
+    assert.equal(results[0].error.url, url);
+    assert.equal(results[0].error.retryable, false);
+    assert(results[0].error.message.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
   });
 
   it("reports errors and returns fallback data when possible", async () => {
@@ -153,7 +522,8 @@ describe("The crawler", {timeout: 60000}, function () {
         fallback
       });
     assert.equal(results[0].title, "On the Internet, nobody knows you don't exist");
-    assert(results[0].error.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
+    assert(results[0].error.message.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
+    assert.equal(results[0].error.fallback, true);
     assert.equal(results[0].refs, "A useful list of refs");
   });
 
@@ -168,7 +538,8 @@ describe("The crawler", {timeout: 60000}, function () {
     });
     const results = await loadJSON(path.resolve(output, "index.json"));
     assert.equal(results.results[0].url, "https://www.w3.org/TR/idontexist/");
-    assert(results.results[0].error.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
+    assert(results.results[0].error.message.includes("Loading https://www.w3.org/TR/idontexist/ triggered HTTP status 404"));
+    assert.deepEqual(results.stats.errorsByCode, { "http-error": 1 });
     assert.equal(results.results[0].refs, "refs/idontexist.json");
     const refs = await loadJSON(path.resolve(output, "refs", "idontexist.json"));
     assert.equal(refs.refs, "A useful list of refs");
@@ -180,7 +551,8 @@ describe("The crawler", {timeout: 60000}, function () {
       [{ url, nightly: { url } }],
       { forceLocalFetch: true });
     assert.equal(results[0].title, "[Could not be determined, see error]");
-    assert(results[0].error.includes("CSS server issue detected"));
+    assert.equal(results[0].error.code, "css-server-issue");
+    assert(results[0].error.message.includes("CSS server issue detected"));
   });
 
   it("crawls the published spec when `--release` is set", async () => {
@@ -191,6 +563,104 @@ describe("The crawler", {timeout: 60000}, function () {
     assert.equal(results[0].title, "Published version");
   });
 
+  it("crawls both versions of specs when `--both-versions` is set", async () => {
+    const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = "https://www.w3.org/TR/remote-playback/";
+    await crawlSpecs({
+      specs: [{
+        url, shortname: 'woff2', series: { shortname: 'woff2' },
+        nightly: { url: 'https://w3c.github.io/woff/woff2/' }, release: { url }
+      }],
+      modules: ['title', 'dfns'],
+      bothVersions: true,
+      forceLocalFetch: true,
+      quiet: true,
+      output
+    });
+    const index = await loadJSON(path.join(output, 'index.json'));
+    const result = index.results[0];
+    assert.equal(result.ed.title, "WOFF2");
+    assert.equal(result.tr.title, "Published version");
+    assert.equal(result.ed.dfns, 'dfns/woff2.json');
+    assert.equal(result.tr.dfns, undefined);
+    assert(fs.existsSync(path.join(output, 'ed', 'dfns', 'woff2.json')));
+    assert.equal(result.lag.dfns.added, 1);
+    assert.equal(result.lag.dfns.removed, 0);
+  });
+
+  it("rejects crawling both versions of specs with incompatible options", async () => {
+    await assert.rejects(
+      crawlSpecs({ specs: [], bothVersions: true, publishedVersion: true }),
+      /cannot be combined with the publishedVersion option/);
+    await assert.rejects(
+      crawlSpecs({ specs: [], bothVersions: true, post: ['idlnames'] }),
+      /cannot be combined with post-processing modules/);
+  });
+
+  it("replays network requests recorded with `--record`", async () => {
+    const archive = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'crawl.har.jsonl');
+    const url = "https://www.w3.org/TR/remote-playback/";
+    const spec = { url, nightly: { url: 'https://w3c.github.io/idontexist' }, release: { url } };
+    const recorded = await crawlSpecs([spec],
+      { publishedVersion: true, forceLocalFetch: true, record: archive });
+    const entries = fs.readFileSync(archive, 'utf8')
+      .split('\n').filter(line => line).map(line => JSON.parse(line));
+    assert(entries.find(entry => entry.request.url === url));
+
+    const replayed = await crawlSpecs([spec],
+      { publishedVersion: true, replay: archive });
+    assert.equal(replayed[0].title, "Published version");
+    assert.deepEqual(replayed[0].refs, recorded[0].refs);
+
+    const unknown = "https://www.w3.org/TR/notinarchive/";
+    const failed = await crawlSpecs([{ url: unknown, nightly: { url: unknown } }],
+      { replay: archive });
+    assert.equal(failed[0].error.code, "network-error");
+  });
+
+  it("extracts from snapshots saved with `--save-snapshots`", async () => {
+    const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = "https://www.w3.org/TR/remote-playback/";
+    const spec = { url, nightly: { url: 'https://w3c.github.io/idontexist' }, release: { url }, shortname: 'remote-playback' };
+    await crawlSpecs({
+      specs: [spec],
+      modules: ['title', 'refs'],
+      output,
+      publishedVersion: true,
+      forceLocalFetch: true,
+      saveSnapshots: true
+    });
+    const saved = await loadJSON(path.resolve(output, 'index.json'));
+    assert.equal(saved.results[0].snapshot, 'snapshots/remote-playback.html');
+    const html = fs.readFileSync(path.resolve(output, 'snapshots', 'remote-playback.html'), 'utf8');
+    assert(html.startsWith('<!DOCTYPE html>'));
+    assert(!html.includes('<script'));
+
+    const results = await crawlSpecs([spec],
+      { modules: ['title', 'refs'], publishedVersion: true, fromSnapshots: output });
+    assert.equal(results[0].title, "Published version");
+    assert.equal(results[0].crawled, url);
+  });
+
+  it("rejects invalid snapshot settings", async () => {
+    await assert.rejects(
+      crawlSpecs([], { saveSnapshots: true }),
+      /Snapshots can only be saved when an output folder is set/);
+    await assert.rejects(
+      crawlSpecs([], { fromSnapshots: path.join(os.tmpdir(), 'reffy-idontexist') }),
+      /Could not load crawl index file/);
+  });
+
+  it("recycles browsers when requested", async () => {
+    const results = await crawlSpecs(specs.slice(1),
+      { forceLocalFetch: true, browserPool: { isolation: 'process', maxSpecs: 1 } });
+    assert.equal(results.length, 2);
+    for (const result of results) {
+      assert.ifError(result.error);
+      assert(result.title);
+    }
+  });
+
   it("skips non-published specs when `--release` is set", async () => {
     const url = "https://w3c.github.io/non-published/";
     const results = await crawlSpecs(
@@ -207,6 +677,119 @@ describe("The crawler", {timeout: 60000}, function () {
     assert.deepStrictEqual(results[0], { url, versions: [url] });
   });
 
+  it("reuses spec results recorded in the journal when `--resume` is set", async () => {
+    const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const url = "https://www.w3.org/TR/ialreadycrawled/";
+    const failedUrl = "https://www.w3.org/TR/remote-playback/";
+    fs.mkdirSync(path.join(output, 'refs'));
+    fs.writeFileSync(path.join(output, 'refs', 'ialreadycrawled.json'),
+      JSON.stringify({ spec: {}, refs: { normative: [], informative: [] } }));
+    fs.writeFileSync(path.join(output, 'crawl-journal.jsonl'),
+      JSON.stringify({
+        url,
+        nightly: { url },
+        shortname: 'ialreadycrawled',
+        title: 'Crawled before the interruption',
+        crawled: url,
+        refs: 'refs/ialreadycrawled.json'
+      }) + '\n' +
+      JSON.stringify({
+        url: failedUrl,
+        nightly: { url: failedUrl },
+        shortname: 'remote-playback',
+        error: { code: 'network-error', message: 'Network is down' }
+      }) + '\n' +
+      '{"url": "https://www.w3.org/TR/incompl');
+    await crawlSpecs({
+      specs: [
+        { url, nightly: { url }, shortname: 'ialreadycrawled' },
+        { url: failedUrl, nightly: { url: failedUrl }, shortname: 'remote-playback' }
+      ],
+      modules: ['refs'],
+      output,
+      resume: true,
+      forceLocalFetch: true
+    });
+    const results = await loadJSON(path.resolve(output, 'index.json'));
+    assert.equal(results.results.length, 2);
+    assert.equal(results.results[0].title, 'Crawled before the interruption');
+    assert.equal(results.results[0].refs, 'refs/ialreadycrawled.json');
+    assert.ifError(results.results[1].error);
+    assert.equal(results.results[1].title, 'Published version');
+    assert(!fs.existsSync(path.join(output, 'crawl-journal.jsonl')));
+  });
+
+  it("resumes a crawl interrupted after extracts were merged per series", async () => {
+    const output = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    const series = { shortname: 'css-foo', currentSpecification: 'css-foo-4' };
+    const specs = ['css-foo-3', 'css-foo-4'].map(shortname => {
+      const url = `https://www.w3.org/TR/${shortname}/`;
+      return { url, nightly: { url }, shortname, series, seriesComposition: 'full' };
+    });
+    specs[0].seriesNext = 'css-foo-4';
+    specs[1].seriesPrevious = 'css-foo-3';
+
+    // Extract of the latest level already renamed after the series, extract
+    // of the previous level already dropped
+    fs.mkdirSync(path.join(output, 'css'));
+    fs.writeFileSync(path.join(output, 'css', 'css-foo.json'),
+      JSON.stringify({ spec: {}, properties: [] }));
+    fs.writeFileSync(path.join(output, 'crawl-journal.jsonl'),
+      specs.map(spec => JSON.stringify(Object.assign({
+        title: spec.shortname,
+        crawled: spec.url,
+        css: `css/${spec.shortname}.json`
+      }, spec)) + '\n').join(''));
+
+    await crawlSpecs({ specs, modules: ['css'], output, resume: true, quiet: true });
+    const results = await loadJSON(path.resolve(output, 'index.json'));
+    assert.equal(results.results[0].css, undefined);
+    assert.equal(results.results[1].css, 'css/css-foo.json');
+    assert.deepStrictEqual(fs.readdirSync(path.join(output, 'css')), ['css-foo.json']);
+  });
+
+  it("retries crawls that fail for transient reasons", async () => {
+    const url = "https://www.w3.org/TR/iamflaky/";
+    const results = await crawlSpecs(
+      [{ url, nightly: { url } }],
+      { forceLocalFetch: true, retry: { count: 2 } });
+    assert.equal(results[0].title, "Flaky but available");
+    assert.ifError(results[0].error);
+    assert.equal(results[0].attempts.length, 1);
+    assert.equal(results[0].attempts[0].code, "http-error");
+    assert.equal(results[0].attempts[0].status, 503);
+    assert.equal(results[0].attempts[0].retryable, true);
+    assert.equal(results[0].attempts[0].retryDelay, 0);
+  });
+
+  it("does not retry crawls that fail for permanent reasons", async () => {
+    const url = "https://www.w3.org/TR/idontexist/";
+    const results = await crawlSpecs(
+      [{ url, nightly: { url } }],
+      { forceLocalFetch: true, retry: { count: 2 } });
+    assert(results[0].error.message.includes("triggered HTTP status 404"));
+    assert.equal(results[0].error.retryable, false);
+    assert.equal(results[0].attempts, undefined);
+  });
+
+  it("rejects invalid throttling settings", async () => {
+    await assert.rejects(
+      crawlSpecs([], { maxParallel: 0 }),
+      /Invalid maxParallel setting/);
+    await assert.rejects(
+      crawlSpecs([], { sleepIntervals: { 'https://example.org': -1 } }),
+      /Invalid sleep interval/);
+    await assert.rejects(
+      crawlSpecs([], { originAliases: { 'https://example.org': 'example.org' } }),
+      /Invalid aliasing rule/);
+    await assert.rejects(
+      crawlSpecs([], { retry: { on: ['module-error'] } }),
+      /Invalid retryable error code/);
+    await assert.rejects(
+      crawlSpecs([], { browserPool: { isolation: 'tab' } }),
+      /Invalid browser isolation mode/);
+  });
+
   after(() => {
     if (mockServer.pendingInterceptors().length > 0) {
       throw new Error("Additional network requests expected on:\n- " + mockServer.pendingInterceptors().map(miss => miss.origin + miss.path).join('\n- '));
@@ -0,0 +1,177 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DatabaseSync } from 'node:sqlite';
+import { saveCrawlToDatabase } from '../src/lib/database.js';
+import { parse as parseIdl } from '../src/cli/parse-webidl.js';
+
+const spec = {
+  url: 'https://www.w3.org/TR/spec/',
+  shortname: 'spec',
+  series: { shortname: 'spec' },
+  title: 'Spec',
+  nightly: { url: 'https://w3c.github.io/spec/' },
+  crawled: 'https://w3c.github.io/spec/',
+  dfns: [{
+    id: 'dom-foo-bar',
+    href: 'https://w3c.github.io/spec/#dom-foo-bar',
+    linkingText: ['bar'],
+    localLinkingText: [],
+    type: 'attribute',
+    for: ['Foo'],
+    access: 'public',
+    informative: false,
+    heading: {},
+    definedIn: 'pre'
+  }],
+  links: {
+    rawlinks: {},
+    autolinks: {
+      'https://dom.spec.whatwg.org/': { anchors: ['concept-event', 'interface-event'] }
+    }
+  },
+  refs: {
+    normative: [{ name: 'DOM', url: 'https://dom.spec.whatwg.org/' }],
+    informative: []
+  },
+  idlparsed: {
+    idlNames: {
+      Foo: {
+        type: 'interface',
+        name: 'Foo',
+        partial: false,
+        inheritance: 'EventTarget',
+        members: [
+          { type: 'attribute', name: 'bar', special: '', href: 'https://w3c.github.io/spec/#dom-foo-bar' },
+          { type: 'constructor' }
+        ],
+        fragment: '[Exposed=(Window,Worker)] interface Foo : EventTarget {};'
+      }
+    },
+    idlExtendedNames: {},
+    exposed: { Window: ['Foo'], Worker: ['Foo'] }
+  },
+  css: {
+    properties: [{ name: 'color', value: '<color>', values: [{ name: 'currentcolor', type: 'value' }] }],
+    atrules: [{ name: '@page', descriptors: [{ name: 'size', for: '@page', value: 'auto' }] }],
+    selectors: [],
+    values: [{ name: '<color>', type: 'type' }]
+  },
+  events: [{ type: 'bar', interface: 'Event', targets: ['Foo'], bubbles: false }],
+  elements: [{ name: 'foo', interface: 'HTMLFooElement', href: 'https://w3c.github.io/spec/#foo' }],
+  headings: [{ id: 'intro', href: 'https://w3c.github.io/spec/#intro', title: 'Introduction', level: 2, number: '1' }]
+};
+
+function query(filename, sql) {
+  const db = new DatabaseSync(filename);
+  try {
+    return db.prepare(sql).all().map(row => Object.assign({}, row));
+  }
+  finally {
+    db.close();
+  }
+}
+
+describe('The database exporter', () => {
+  it('saves extracts to normalized tables', async () => {
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'crawl.sqlite');
+    await saveCrawlToDatabase({ results: [spec, { url: 'https://example.org/', error: { message: 'Oops' } }] }, filename);
+
+    assert.deepStrictEqual(query(filename, 'SELECT shortname, error FROM specs'), [
+      { shortname: 'spec', error: null },
+      { shortname: null, error: 'Oops' }
+    ]);
+    assert.deepStrictEqual(query(filename, `
+      SELECT specs.shortname, dfns.type, dfn_texts.text FROM dfns
+      JOIN specs ON specs.id = dfns.spec
+      JOIN dfn_texts ON dfn_texts.dfn = dfns.id
+      JOIN dfn_for ON dfn_for.dfn = dfns.id
+      WHERE dfn_for.value = 'Foo'`), [
+      { shortname: 'spec', type: 'attribute', text: 'bar' }
+    ]);
+    assert.deepStrictEqual(query(filename, 'SELECT anchor FROM links ORDER BY anchor'), [
+      { anchor: 'concept-event' },
+      { anchor: 'interface-event' }
+    ]);
+    assert.deepStrictEqual(query(filename, `
+      SELECT idl_names.name, idl_members.name AS member, idl_members.type FROM idl_names
+      JOIN idl_members ON idl_members.idl = idl_names.id
+      JOIN idl_exposed ON idl_exposed.name = idl_names.name AND idl_exposed.spec = idl_names.spec
+      WHERE idl_exposed.global = 'Worker'`), [
+      { name: 'Foo', member: 'bar', type: 'attribute' },
+      { name: 'Foo', member: null, type: 'constructor' }
+    ]);
+    assert.deepStrictEqual(query(filename, 'SELECT category, name, for_name FROM css'), [
+      { category: 'property', name: 'color', for_name: null },
+      { category: 'value', name: 'currentcolor', for_name: 'color' },
+      { category: 'atrule', name: '@page', for_name: null },
+      { category: 'descriptor', name: 'size', for_name: '@page' },
+      { category: 'type', name: '<color>', for_name: null }
+    ]);
+    assert.deepStrictEqual(query(filename, `
+      SELECT events.type, events.bubbles, event_targets.target FROM events
+      JOIN event_targets ON event_targets.event = events.id`), [
+      { type: 'bar', bubbles: 0, target: 'Foo' }
+    ]);
+    assert.deepStrictEqual(query(filename, 'SELECT name, interface FROM elements'), [
+      { name: 'foo', interface: 'HTMLFooElement' }
+    ]);
+    assert.deepStrictEqual(query(filename, 'SELECT title, level FROM headings'), [
+      { title: 'Introduction', level: 2 }
+    ]);
+  });
+
+  it('saves all kinds of IDL definitions', async () => {
+    const idlparsed = await parseIdl(`
+      [Exposed=Window] interface Foo {};
+      [Exposed=Window] partial interface Foo { attribute long bar; };
+      interface mixin Mixin { attribute long baz; };
+      Foo includes Mixin;
+      typedef long Size;
+      enum Mode { "on", "off" };
+      callback Callback = undefined (long value);
+      dictionary Options { boolean flag = false; };
+    `);
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'crawl.sqlite');
+    await saveCrawlToDatabase({ results: [{ url: spec.url, shortname: 'spec', idlparsed }] }, filename);
+
+    assert.deepStrictEqual(query(filename, 'SELECT name, type, partial FROM idl_names ORDER BY id'), [
+      { name: 'Foo', type: 'interface', partial: 0 },
+      { name: 'Mixin', type: 'interface mixin', partial: 0 },
+      { name: 'Size', type: 'typedef', partial: 0 },
+      { name: 'Mode', type: 'enum', partial: 0 },
+      { name: 'Callback', type: 'callback', partial: 0 },
+      { name: 'Options', type: 'dictionary', partial: 0 },
+      { name: 'Foo', type: 'interface', partial: 1 }
+    ]);
+    assert.deepStrictEqual(query(filename, `
+      SELECT idl_names.name, idl_members.name AS member FROM idl_members
+      JOIN idl_names ON idl_names.id = idl_members.idl
+      WHERE idl_names.type = 'enum' OR idl_names.partial = 1`), [
+      { name: 'Mode', member: 'on' },
+      { name: 'Mode', member: 'off' },
+      { name: 'Foo', member: 'bar' }
+    ]);
+    assert.deepStrictEqual(query(filename, 'SELECT target, mixin, fragment FROM idl_includes'), [
+      { target: 'Foo', mixin: 'Mixin', fragment: 'Foo includes Mixin;' }
+    ]);
+  });
+
+  it('reads extracts from the crawl folder and replaces existing databases', async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    fs.mkdirSync(path.join(folder, 'dfns'));
+    fs.writeFileSync(path.join(folder, 'dfns', 'spec.json'),
+      JSON.stringify({ spec: { title: 'Spec' }, dfns: spec.dfns }));
+    const filename = path.join(folder, 'crawl.sqlite');
+    fs.writeFileSync(filename, 'not a database');
+
+    const result = { url: spec.url, shortname: 'spec', dfns: 'dfns/spec.json' };
+    await saveCrawlToDatabase({ results: [result] }, filename, folder);
+    assert.deepStrictEqual(query(filename, 'SELECT href FROM dfns'), [
+      { href: 'https://w3c.github.io/spec/#dom-foo-bar' }
+    ]);
+    assert.strictEqual(result.dfns, 'dfns/spec.json');
+  });
+});
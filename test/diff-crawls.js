@@ -0,0 +1,184 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { diffCrawls, diffCrawlResults } from '../src/cli/diff-crawls.js';
+import { generateDiffReport } from '../src/lib/markdown-report.js';
+
+const reffyPath = fileURLToPath(new URL('../reffy.js', import.meta.url));
+
+function makeSpec(props) {
+  return Object.assign({
+    shortname: 'spec',
+    title: 'Spec',
+    url: 'https://www.w3.org/TR/spec/'
+  }, props);
+}
+
+function makeCrawl(results) {
+  return {
+    type: 'crawl',
+    title: 'Reffy crawl',
+    date: '2026-01-01T00:00:00.000Z',
+    crawler: 'reffy-test',
+    results
+  };
+}
+
+function makeDfn(id, linkingText, type = 'dfn') {
+  return {
+    id,
+    href: `https://www.w3.org/TR/spec/#${id}`,
+    linkingText: [linkingText],
+    type,
+    for: [],
+    access: 'public'
+  };
+}
+
+describe('The crawl diff tool', () => {
+  const tmpFolders = [];
+
+  after(async () => {
+    for (const folder of tmpFolders) {
+      await fs.rm(folder, { recursive: true, force: true });
+    }
+  });
+
+  it('reports no change when crawls are identical', async () => {
+    const crawl = makeCrawl([makeSpec({ dfns: [makeDfn('foo', 'foo')] })]);
+    const diff = await diffCrawlResults(crawl, crawl);
+    assert.deepStrictEqual(diff.stats, { added: 0, removed: 0, modified: 0 });
+    assert.deepStrictEqual(diff.results, []);
+  });
+
+  it('reports added and removed specs', async () => {
+    const diff = await diffCrawlResults(
+      makeCrawl([makeSpec({ shortname: 'old' })]),
+      makeCrawl([makeSpec({ shortname: 'new' })]));
+    assert.deepStrictEqual(diff.added.map(spec => spec.shortname), ['new']);
+    assert.deepStrictEqual(diff.removed.map(spec => spec.shortname), ['old']);
+  });
+
+  it('reports added, removed and modified dfns', async () => {
+    const diff = await diffCrawlResults(
+      makeCrawl([makeSpec({ dfns: [
+        makeDfn('foo', 'foo'),
+        makeDfn('bar', 'bar')
+      ] })]),
+      makeCrawl([makeSpec({ dfns: [
+        makeDfn('foo', 'foo', 'abstract-op'),
+        makeDfn('baz', 'baz')
+      ] })]));
+    const changes = diff.results[0].changes.dfns;
+    assert.deepStrictEqual(changes.added.map(item => item.name), ['baz']);
+    assert.deepStrictEqual(changes.removed.map(item => item.name), ['bar']);
+    assert.deepStrictEqual(changes.modified.map(item => item.name), ['foo']);
+    assert.strictEqual(changes.modified[0].before.type, 'dfn');
+    assert.strictEqual(changes.modified[0].after.type, 'abstract-op');
+  });
+
+  it('reports IDL names and members changes', async () => {
+    const diff = await diffCrawlResults(
+      makeCrawl([makeSpec({
+        idl: 'interface Foo { attribute DOMString bar; };\ninterface Old {};'
+      })]),
+      makeCrawl([makeSpec({
+        idl: 'interface Foo { attribute DOMString baz; undefined qux(); };'
+      })]));
+    const changes = diff.results[0].changes;
+    assert.deepStrictEqual(changes.idlNames.removed.map(item => item.name), ['Old']);
+    assert.deepStrictEqual(changes.idlNames.modified, []);
+    assert.deepStrictEqual(changes.idlMembers.added.map(item => item.name),
+      ['Foo.baz', 'Foo.qux()']);
+    assert.deepStrictEqual(changes.idlMembers.removed.map(item => item.name),
+      ['Foo.bar']);
+  });
+
+  it('reports CSS, events, elements, headings and refs changes', async () => {
+    const diff = await diffCrawlResults(
+      makeCrawl([makeSpec({
+        css: { properties: [{ name: 'color', value: '<color>' }], atrules: [], selectors: [] },
+        events: [{ type: 'click', interface: 'MouseEvent' }],
+        refs: { normative: [], informative: [{ name: 'dom', url: 'https://dom.spec.whatwg.org/' }] }
+      })]),
+      makeCrawl([makeSpec({
+        css: { properties: [{ name: 'color', value: '<color> | auto' }], atrules: [{ name: '@foo' }], selectors: [] },
+        elements: [{ name: 'foo', href: 'https://www.w3.org/TR/spec/#foo' }],
+        headings: [{ id: 'intro', href: 'https://www.w3.org/TR/spec/#intro', title: 'Intro', level: 2 }],
+        refs: { normative: [{ name: 'dom', url: 'https://dom.spec.whatwg.org/' }], informative: [] }
+      })]));
+    const changes = diff.results[0].changes;
+    assert.deepStrictEqual(Object.keys(changes),
+      ['cssProperties', 'cssAtrules', 'events', 'elements', 'headings', 'refs']);
+    assert.deepStrictEqual(changes.cssProperties.modified.map(item => item.name), ['color']);
+    assert.deepStrictEqual(changes.cssAtrules.added.map(item => item.name), ['@foo']);
+    assert.deepStrictEqual(changes.events.removed.map(item => item.name), ['click']);
+    assert.deepStrictEqual(changes.elements.added.map(item => item.name), ['foo']);
+    assert.deepStrictEqual(changes.headings.added.map(item => item.name), ['Intro']);
+    assert.deepStrictEqual(changes.headings.added.map(item => item.type), ['heading']);
+    assert.deepStrictEqual(changes.refs.modified.map(item => item.name), ['dom']);
+    assert.deepStrictEqual(changes.refs.modified.map(item => item.type), ['reference']);
+  });
+
+  async function writeCrawlFolders() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'reffy-'));
+    tmpFolders.push(root);
+    const folders = [];
+    for (const [name, dfns] of [['old', []], ['new', [makeDfn('foo', 'foo')]]]) {
+      const folder = path.join(root, name);
+      folders.push(folder);
+      await fs.mkdir(path.join(folder, 'dfns'), { recursive: true });
+      await fs.writeFile(path.join(folder, 'dfns', 'spec.json'),
+        JSON.stringify({ spec: {}, dfns }));
+      await fs.writeFile(path.join(folder, 'index.json'),
+        JSON.stringify(makeCrawl([makeSpec({ dfns: 'dfns/spec.json' })])));
+    }
+    return folders;
+  }
+
+  it('loads and compares crawl results from folders', async () => {
+    const folders = await writeCrawlFolders();
+    const diff = await diffCrawls(...folders);
+    assert.deepStrictEqual(diff.results[0].changes.dfns.added.map(item => item.href),
+      ['https://www.w3.org/TR/spec/#foo']);
+  });
+
+  it('produces a Markdown report', async () => {
+    const diff = await diffCrawlResults(
+      makeCrawl([makeSpec({ dfns: [] })]),
+      makeCrawl([makeSpec({ dfns: [makeDfn('foo', 'foo')] })]));
+    assert.strictEqual(generateDiffReport(diff), `# Crawl diff
+
+- Reference crawl: 2026-01-01T00:00:00.000Z (reffy-test)
+- New crawl: 2026-01-01T00:00:00.000Z (reffy-test)
+- Specs added: 0
+- Specs removed: 0
+- Specs modified: 1
+
+## Spec
+
+Diff summary:
+- Terms: 1 added
+
+<details>
+<summary>1 term added</summary>
+
+- [foo](https://www.w3.org/TR/spec/#foo)
+</details>`);
+  });
+
+  it('outputs JSON or Markdown from the command line', async () => {
+    const folders = await writeCrawlFolders();
+    const run = promisify(execFile);
+    const json = await run(process.execPath, [reffyPath, 'diff', ...folders]);
+    assert.deepStrictEqual(JSON.parse(json.stdout).stats,
+      { added: 0, removed: 0, modified: 1 });
+    const markdown = await run(process.execPath, [reffyPath, 'diff', ...folders, '--markdown']);
+    assert.match(markdown.stdout, /^# Crawl diff\n/);
+  });
+});
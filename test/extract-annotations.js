@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+import { rollup } from 'rollup';
+import { getSchemaValidationFunction } from '../src/lib/util.js';
+const scriptPath = path.dirname(fileURLToPath(import.meta.url));
+
+const tests = [
+  {
+    title: "extracts an MDN annotation attached to the dfn that follows it",
+    html: `<h2 id="alignment">Alignment</h2>
+<div>
+  <aside class="mdn-anno wrapped">
+    <button class="mdn-anno-btn"><b class="all-engines-flag" title="This feature is in all current engines.">✔</b><span>MDN</span></button>
+    <div class="feature">
+      <p><a href="https://developer.mozilla.org/en-US/docs/Web/CSS/align-content" title="The CSS align-content property sets the distribution of space between and around content items.">align-content</a></p>
+      <p class="all-engines-text">In all current engines.</p>
+      <div class="support">
+        <span class="firefox yes"><span>Firefox</span><span>28+</span></span><span class="safari yes"><span>Safari</span><span>9+</span></span><span class="chrome yes"><span>Chrome</span><span>29+</span></span>
+        <hr>
+        <span class="opera yes"><span>Opera</span><span>?</span></span>
+        <hr>
+        <span class="ie no"><span>IE</span><span>None</span></span>
+      </div>
+    </div>
+  </aside>
+  <dfn class="dfn-paneled css" data-dfn-type="property" data-export="" id="propdef-align-content">align-content</dfn>
+</div>`,
+    res: [
+      {
+        type: "mdn",
+        href: "about:blank#propdef-align-content",
+        features: [
+          {
+            slug: "Web/CSS/align-content",
+            href: "https://developer.mozilla.org/en-US/docs/Web/CSS/align-content",
+            engines: "In all current engines.",
+            support: {
+              firefox: { supported: true, version: "28+" },
+              safari: { supported: true, version: "9+" },
+              chrome: { supported: true, version: "29+" },
+              opera: { supported: true },
+              ie: { supported: false }
+            }
+          }
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "extracts an MDN annotation attached to an anchor through data-anno-for",
+    html: `<details class="mdn-anno unpositioned" data-anno-for="dom-document-createelement">
+  <summary>MDN</summary>
+  <div class="feature">
+    <p><a href="https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement">Document/createElement</a></p>
+    <p class="less-than-two-engines-text">In only one current engine.</p>
+  </div>
+</details>
+<h3 id="creating-elements">Creating elements</h3>
+<p>The <dfn data-dfn-type="method" data-dfn-for="Document" id="dom-document-createelement">createElement(localName)</dfn> method steps are:</p>`,
+    res: [
+      {
+        type: "mdn",
+        href: "about:blank#dom-document-createelement",
+        features: [
+          {
+            slug: "Web/API/Document/createElement",
+            href: "https://developer.mozilla.org/en-US/docs/Web/API/Document/createElement",
+            engines: "In only one current engine."
+          }
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "extracts a WPT annotation attached to the dfn that precedes it",
+    html: `<h3 id="the-foo-property">The foo property</h3>
+<p>The <dfn data-dfn-type="property" id="propdef-foo">foo</dfn> property does things.</p>
+<details class="wpt-tests-block" dir="ltr" lang="en" open>
+  <summary>Tests</summary>
+  <ul class="wpt-tests-list">
+    <li class="wpt-test"><a class="wpt-name" href="https://wpt.fyi/results/css/css-foo/foo-001.html">foo-001.html</a> <a class="wpt-live" href="http://wpt.live/css/css-foo/foo-001.html"><small>(live test)</small></a> <a class="wpt-source" href="https://github.com/web-platform-tests/wpt/blob/master/css/css-foo/foo-001.html"><small>(source)</small></a></li>
+    <li class="wpt-test"><a class="wpt-name" href="https://wpt.fyi/results/css/css-foo/parsing/foo-computed.html">parsing/foo-computed.html</a></li>
+  </ul>
+</details>`,
+    res: [
+      {
+        type: "wpt",
+        href: "about:blank#propdef-foo",
+        tests: [
+          "css/css-foo/foo-001.html",
+          "css/css-foo/parsing/foo-computed.html"
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "returns an empty list when the spec does not have annotations",
+    html: `<h2 id="intro">Introduction</h2>
+<p>The <dfn id="foo">foo</dfn> concept is not annotated.</p>`,
+    res: []
+  }
+];
+
+
+describe("Annotations extraction", function () {
+
+  let browser;
+  let extractAnnotationsCode;
+  let validateSchema;
+
+  before(async () => {
+    validateSchema = await getSchemaValidationFunction('extract-annotations');
+    const bundle = await rollup({
+      input: path.resolve(scriptPath, '../src/browserlib/extract-annotations.mjs'),
+      onwarn: _ => {}
+    });
+    const output = (await bundle.generate({
+      name: 'extractAnnotations',
+      format: 'iife'
+    })).output;
+    extractAnnotationsCode = output[0].code;
+
+    browser = await puppeteer.launch({ headless: true });
+  });
+
+  tests.forEach(t => {
+    it(t.title, async () => {
+      const page = await browser.newPage();
+      page.setContent(t.html);
+      await page.addScriptTag({ content: extractAnnotationsCode });
+
+      const extractedAnnotations = await page.evaluate(async () => {
+        return extractAnnotations();
+      });
+      await page.close();
+      assert.deepEqual(extractedAnnotations, t.res);
+
+      const errors = validateSchema(extractedAnnotations);
+      assert.strictEqual(errors, null, JSON.stringify(errors, null, 2));
+    });
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+});
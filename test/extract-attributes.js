@@ -0,0 +1,181 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+import { rollup } from 'rollup';
+import { getSchemaValidationFunction } from '../src/lib/util.js';
+const scriptPath = path.dirname(fileURLToPath(import.meta.url));
+
+const tests = [
+  {
+    title: "extracts an enumerated attribute, its keywords, states and defaults, and reflecting IDL attributes",
+    spec: "html",
+    html: `<h4 id="the-button-element">The <dfn id="the-button"><code>button</code></dfn> element</h4>
+<dl class="element">
+<dt>DOM interface:</dt>
+<dd>
+    <pre><code class="idl">[Exposed=Window]
+interface <dfn id="htmlbuttonelement" data-dfn-type="interface">HTMLButtonElement</dfn> : HTMLElement {
+  [CEReactions, Reflect] attribute DOMString <dfn data-dfn-for="HTMLButtonElement" data-dfn-type="attribute" id="dom-button-name">name</dfn>;
+  [CEReactions] attribute DOMString <dfn data-dfn-for="HTMLButtonElement" data-dfn-type="attribute" id="dom-button-type">type</dfn>;
+};</code></pre>
+</dd>
+</dl>
+<p>The <dfn data-dfn-for="button" data-dfn-type="element-attr" id="attr-button-type"><code>type</code></dfn> content attribute controls the behavior of the button when it is activated. It is an enumerated attribute with the following keywords and states:</p>
+<table>
+<thead><tr><th>Keyword</th><th>State</th><th>Brief description</th></tr></thead>
+<tbody>
+<tr><td><dfn data-dfn-for="button/type" data-dfn-type="attr-value" id="attr-button-type-submit"><code>submit</code></dfn></td><td><dfn id="attr-button-type-submit-state">Submit Button</dfn></td><td>Submits the form.</td></tr>
+<tr><td><dfn data-dfn-for="button/type" data-dfn-type="attr-value" id="attr-button-type-reset"><code>reset</code></dfn></td><td><dfn id="attr-button-type-reset-state">Reset Button</dfn></td><td>Resets the form.</td></tr>
+</tbody>
+</table>
+<p>The attribute's missing value default and invalid value default are both the <a href="#attr-button-type-submit-state">Submit Button</a> state.</p>
+<p>The <dfn data-dfn-for="button" data-dfn-type="element-attr" id="attr-button-name"><code>name</code></dfn> content attribute gives the name of the button.</p>
+<p>The <code><a href="#dom-button-type">type</a></code> IDL attribute must <a href="#reflect">reflect</a> the <code><a href="#attr-button-type">type</a></code> content attribute, limited to only known values.</p>`,
+    res: [
+      {
+        name: "type",
+        href: "about:blank#attr-button-type",
+        global: false,
+        elements: ["button"],
+        values: [
+          {
+            value: "submit",
+            href: "about:blank#attr-button-type-submit",
+            state: {
+              name: "Submit Button",
+              href: "about:blank#attr-button-type-submit-state"
+            }
+          },
+          {
+            value: "reset",
+            href: "about:blank#attr-button-type-reset",
+            state: {
+              name: "Reset Button",
+              href: "about:blank#attr-button-type-reset-state"
+            }
+          }
+        ],
+        missingValueDefault: "Submit Button",
+        invalidValueDefault: "Submit Button",
+        reflectedBy: [
+          {
+            name: "type",
+            interface: "HTMLButtonElement",
+            href: "about:blank#dom-button-type"
+          }
+        ]
+      },
+      {
+        name: "name",
+        href: "about:blank#attr-button-name",
+        global: false,
+        elements: ["button"],
+        reflectedBy: [
+          {
+            name: "name",
+            interface: "HTMLButtonElement",
+            href: "about:blank#dom-button-name"
+          }
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "extracts a global attribute reflected by an IDL attribute of the same name",
+    spec: "html",
+    html: `<p>The <dfn data-dfn-for="html-global" data-dfn-type="element-attr" id="attr-title"><code>title</code></dfn> attribute represents advisory information for the element.</p>
+<p>The <dfn data-dfn-for="HTMLElement" data-dfn-type="attribute" id="dom-title"><code>title</code></dfn> IDL attribute must <a href="https://html.spec.whatwg.org/multipage/common-dom-interfaces.html#reflect">reflect</a> the content attribute of the same name.</p>`,
+    res: [
+      {
+        name: "title",
+        href: "about:blank#attr-title",
+        global: true,
+        reflectedBy: [
+          {
+            name: "title",
+            interface: "HTMLElement",
+            href: "about:blank#dom-title"
+          }
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "extracts an attribute of multiple elements with keywords defined for the attribute",
+    spec: "portals",
+    html: `<p>The <dfn data-dfn-type="element-attr" data-dfn-for="foo,bar" id="element-attrdef-mode">mode</dfn> attribute takes one of the following values:</p>
+<dl>
+<dt><dfn data-dfn-type="attr-value" data-dfn-for="mode" id="element-attrdef-mode-open">open</dfn></dt>
+<dd>The element is open.</dd>
+<dt><dfn data-dfn-type="attr-value" data-dfn-for="mode" id="element-attrdef-mode-closed">closed</dfn></dt>
+<dd>The element is closed.</dd>
+</dl>`,
+    res: [
+      {
+        name: "mode",
+        href: "about:blank#element-attrdef-mode",
+        global: false,
+        elements: ["foo", "bar"],
+        values: [
+          { value: "open", href: "about:blank#element-attrdef-mode-open" },
+          { value: "closed", href: "about:blank#element-attrdef-mode-closed" }
+        ]
+      }
+    ]
+  },
+
+  {
+    title: "returns an empty list when the spec does not define attributes",
+    spec: "dom",
+    html: `<p>The <dfn data-dfn-type="element" id="elementdef-foo">foo</dfn> element has no attributes.</p>`,
+    res: []
+  }
+];
+
+
+describe("Content attribute extraction", function () {
+
+  let browser;
+  let extractAttributesCode;
+  let validateSchema;
+
+  before(async () => {
+    validateSchema = await getSchemaValidationFunction('extract-attributes');
+    const bundle = await rollup({
+      input: path.resolve(scriptPath, '../src/browserlib/extract-attributes.mjs'),
+      onwarn: _ => {}
+    });
+    const output = (await bundle.generate({
+      name: 'extractAttributes',
+      format: 'iife'
+    })).output;
+    extractAttributesCode = output[0].code;
+
+    browser = await puppeteer.launch({ headless: true });
+  });
+
+  tests.forEach(t => {
+    it(t.title, async () => {
+      const page = await browser.newPage();
+      page.setContent(t.html + "<script>let spec = '" + t.spec + "';</script>");
+      await page.addScriptTag({ content: extractAttributesCode });
+
+      const extractedAttributes = await page.evaluate(async () => {
+        return extractAttributes(spec);
+      });
+      await page.close();
+      assert.deepEqual(extractedAttributes, t.res);
+
+      const errors = validateSchema(extractedAttributes);
+      assert.strictEqual(errors, null, JSON.stringify(errors, null, 2));
+    });
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+});
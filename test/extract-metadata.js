@@ -0,0 +1,224 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+import { rollup } from 'rollup';
+import { getSchemaValidationFunction } from '../src/lib/util.js';
+const scriptPath = path.dirname(fileURLToPath(import.meta.url));
+
+const tests = [
+  {
+    title: "extracts metadata from a Bikeshed header",
+    html: `<div class="head">
+  <h1 class="p-name no-ref" id="title">CSS Foo Module Level 1</h1>
+  <p id="w3c-state"><a href="https://www.w3.org/standards/types/#ED">Editor’s Draft</a>, <time class="dt-updated" datetime="2024-03-18">18 March 2024</time></p>
+  <details open>
+    <summary>More details about this document</summary>
+    <div data-fill-with="spec-metadata">
+      <dl>
+        <dt>This version:<dd><a class="u-url" href="https://drafts.csswg.org/css-foo-1/">https://drafts.csswg.org/css-foo-1/</a>
+        <dt>Latest published version:<dd><a href="https://www.w3.org/TR/css-foo-1/">https://www.w3.org/TR/css-foo-1/</a>
+        <dt>Previous Versions:<dd><a href="https://www.w3.org/TR/2023/WD-css-foo-1-20230101/" rel="prev">https://www.w3.org/TR/2023/WD-css-foo-1-20230101/</a><dd><a href="https://www.w3.org/TR/2022/WD-css-foo-1-20220101/" rel="prev">https://www.w3.org/TR/2022/WD-css-foo-1-20220101/</a>
+        <dt>Feedback:<dd><span><a href="https://github.com/w3c/csswg-drafts/labels/css-foo-1">CSSWG Issues Repository</a></span>
+        <dt>Issue Tracking:<dd><a href="#issues-index">Inline In Spec</a><dd><a href="https://github.com/w3c/csswg-drafts/labels/css-foo-1">GitHub Issues</a>
+        <dt class="editor">Editors:<dd class="editor p-author h-card vcard" data-editor-id="42199"><a class="p-name fn u-url url" href="https://xanthir.com/contact/">Tab Atkins Jr.</a> (<a class="p-org org" href="https://www.google.com/">Google</a>)<dd class="editor p-author h-card vcard" data-editor-id="35400"><a class="p-name fn u-email email" href="mailto:fantasai@example.org">Elika J. Etemad / fantasai</a> (<span class="p-org org">Apple</span>)
+        <dt class="editor">Former Editors:<dd class="editor p-author h-card vcard"><a class="p-name fn u-url url" href="https://example.org/">Jane Doe</a>
+        <dt>Test Suite:<dd><a href="https://wpt.fyi/results/css/css-foo">https://wpt.fyi/results/css/css-foo</a>
+      </dl>
+    </div>
+  </details>
+  <p class="copyright" data-fill-with="copyright"><a href="https://www.w3.org/policies/#copyright">Copyright</a> © 2024 <a href="https://www.w3.org/">World Wide Web Consortium</a>. <abbr title="World Wide Web Consortium">W3C</abbr><sup>®</sup> <a href="https://www.w3.org/policies/#Legal_Disclaimer">liability</a>, <a href="https://www.w3.org/policies/#W3C_Trademarks">trademark</a> and <a href="https://www.w3.org/copyright/software-license-2023/" title="W3C Software and Document Notice and License">permissive document license</a> rules apply.</p>
+</div>
+<h2 class="no-num no-toc no-ref heading settled" id="sotd"><span class="content">Status of this document</span></h2>
+<div data-fill-with="status">
+  <p>This document was produced by the <a href="https://www.w3.org/groups/wg/css">CSS Working Group</a>.</p>
+  <p>W3C maintains a <a href="https://www.w3.org/groups/wg/css/ipr" rel="disclosure">public list of any patent disclosures</a>.</p>
+</div>
+<h2 class="no-num no-toc no-ref heading settled" id="contents"><span class="content">Table of Contents</span></h2>`,
+    res: {
+      editors: [
+        {
+          name: "Tab Atkins Jr.",
+          url: "https://xanthir.com/contact/",
+          w3cid: 42199,
+          affiliation: { name: "Google", url: "https://www.google.com/" }
+        },
+        {
+          name: "Elika J. Etemad / fantasai",
+          email: "fantasai@example.org",
+          w3cid: 35400,
+          affiliation: { name: "Apple" }
+        }
+      ],
+      formerEditors: [
+        { name: "Jane Doe", url: "https://example.org/" }
+      ],
+      status: "ED",
+      groups: [
+        { name: "CSS Working Group", url: "https://www.w3.org/groups/wg/css" }
+      ],
+      repository: "https://github.com/w3c/csswg-drafts",
+      issueTracker: "https://github.com/w3c/csswg-drafts/labels/css-foo-1",
+      testSuite: "https://wpt.fyi/results/css/css-foo",
+      previousVersions: [
+        "https://www.w3.org/TR/2023/WD-css-foo-1-20230101/",
+        "https://www.w3.org/TR/2022/WD-css-foo-1-20220101/"
+      ],
+      license: "https://www.w3.org/copyright/software-license-2023/"
+    }
+  },
+
+  {
+    title: "extracts metadata from a ReSpec header",
+    html: `<div class="head">
+  <h1 id="title" class="title">Foo API</h1>
+  <p id="w3c-state"><a href="https://www.w3.org/standards/types#WD">W3C Working Draft</a> <time class="dt-published" datetime="2024-01-10">10 January 2024</time></p>
+  <details open>
+    <summary>More details about this document</summary>
+    <dl>
+      <dt>This version:</dt><dd><a class="u-url" href="https://www.w3.org/TR/2024/WD-foo-20240110/">https://www.w3.org/TR/2024/WD-foo-20240110/</a></dd>
+      <dt>Latest published version:</dt><dd><a href="https://www.w3.org/TR/foo/">https://www.w3.org/TR/foo/</a></dd>
+      <dt>History:</dt><dd><a href="https://www.w3.org/standards/history/foo/">https://www.w3.org/standards/history/foo/</a></dd><dd><a href="https://github.com/w3c/foo/commits/">Commit history</a></dd>
+      <dt>Test suite:</dt><dd><a href="https://github.com/web-platform-tests/wpt/tree/master/foo">https://github.com/web-platform-tests/wpt/tree/master/foo</a></dd>
+      <dt>Implementation report:</dt><dd><a href="https://wpt.fyi/results/foo">https://wpt.fyi/results/foo</a></dd>
+      <dt>Previous version:</dt><dd><a href="https://www.w3.org/TR/2023/WD-foo-20231005/">https://www.w3.org/TR/2023/WD-foo-20231005/</a></dd>
+      <dt>Editor:</dt><dd class="editor p-author h-card vcard" data-editor-id="12345"><a class="ed_mailto u-email email p-name" href="mailto:jdoe@example.com">John Doe</a> (<a class="p-org org h-org" href="https://example.com/">Example Inc.</a>)</dd>
+      <dt>Feedback:</dt><dd><a href="https://github.com/w3c/foo/">GitHub w3c/foo</a> (<a href="https://github.com/w3c/foo/pulls/">pull requests</a>, <a href="https://github.com/w3c/foo/issues/new/choose">new issue</a>, <a href="https://github.com/w3c/foo/issues/">open issues</a>)</dd>
+    </dl>
+  </details>
+  <p class="copyright"><a href="https://www.w3.org/policies/#copyright">Copyright</a> © 2024 <a href="https://www.w3.org/">World Wide Web Consortium</a>. <abbr title="World Wide Web Consortium">W3C</abbr><sup>®</sup> <a href="https://www.w3.org/policies/#Legal_Disclaimer">liability</a>, <a href="https://www.w3.org/policies/#W3C_Trademarks">trademark</a> and <a rel="license" href="https://www.w3.org/copyright/software-license-2023/" title="W3C Software and Document Notice and License">permissive document license</a> rules apply.</p>
+  <hr title="Separator for header">
+</div>
+<section id="sotd" class="introductory"><h2>Status of This Document</h2>
+  <p>This document was published by the <a href="https://www.w3.org/groups/wg/webapps">Web Applications Working Group</a> as a Working Draft using the <a href="https://www.w3.org/policies/process/20231103/#recs-and-notes">Recommendation track</a>.</p>
+  <p>W3C maintains a <a rel="disclosure" href="https://www.w3.org/groups/wg/webapps/ipr">public list of any patent disclosures</a>.</p>
+</section>`,
+    res: {
+      editors: [
+        {
+          name: "John Doe",
+          email: "jdoe@example.com",
+          w3cid: 12345,
+          affiliation: { name: "Example Inc.", url: "https://example.com/" }
+        }
+      ],
+      status: "WD",
+      groups: [
+        { name: "Web Applications Working Group", url: "https://www.w3.org/groups/wg/webapps" }
+      ],
+      repository: "https://github.com/w3c/foo",
+      issueTracker: "https://github.com/w3c/foo/issues/",
+      testSuite: "https://github.com/web-platform-tests/wpt/tree/master/foo",
+      implementationReport: "https://wpt.fyi/results/foo",
+      previousVersions: [
+        "https://www.w3.org/TR/2023/WD-foo-20231005/"
+      ],
+      license: "https://www.w3.org/copyright/software-license-2023/"
+    }
+  },
+
+  {
+    title: "extracts metadata from a WHATWG header",
+    html: `<div class="head">
+  <a class="logo" href="https://whatwg.org/"><img alt="WHATWG" height="100" src="https://resources.whatwg.org/logo-dom.svg"></a>
+  <h1 id="title" class="p-name no-ref">DOM</h1>
+  <p id="w3c-state">Living Standard — Last Updated <time class="dt-updated" datetime="2024-03-04">4 March 2024</time></p>
+  <dl>
+    <dt>Participate:</dt>
+    <dd><a href="https://github.com/whatwg/dom">GitHub whatwg/dom</a> (<a href="https://github.com/whatwg/dom/issues/new/choose">new issue</a>, <a href="https://github.com/whatwg/dom/issues">open issues</a>)</dd>
+    <dd><a href="https://whatwg.org/chat">Chat on Matrix</a></dd>
+    <dt>Commits:</dt>
+    <dd><a href="https://github.com/whatwg/dom/commits">GitHub whatwg/dom/commits</a></dd>
+    <dt>Tests:</dt>
+    <dd><a href="https://github.com/web-platform-tests/wpt/tree/master/dom">web-platform-tests dom/</a> (<a href="https://github.com/web-platform-tests/wpt/labels/dom">ongoing work</a>)</dd>
+  </dl>
+</div>
+<p class="copyright">Copyright © WHATWG (Apple, Google, Mozilla, Microsoft). This work is licensed under a <a href="https://creativecommons.org/licenses/by/4.0/" rel="license">Creative Commons Attribution 4.0 International License</a>.</p>`,
+    res: {
+      status: "LS",
+      groups: [
+        { name: "WHATWG", url: "https://whatwg.org/" }
+      ],
+      repository: "https://github.com/whatwg/dom",
+      issueTracker: "https://github.com/whatwg/dom/issues",
+      testSuite: "https://github.com/web-platform-tests/wpt/tree/master/dom",
+      license: "https://creativecommons.org/licenses/by/4.0/"
+    }
+  },
+
+  {
+    title: "completes metadata with the ReSpec configuration",
+    html: `<script>var respecConfig = {
+  specStatus: "unofficial",
+  github: "w3c/bar",
+  editors: [{ name: "Jane Doe", company: "Example Inc.", companyURL: "https://example.com/", w3cid: 42 }],
+  testSuiteURI: "https://wpt.fyi/results/bar",
+  license: "cc-by"
+};</script>
+<h1>Bar</h1>`,
+    res: {
+      editors: [
+        {
+          name: "Jane Doe",
+          w3cid: 42,
+          affiliation: { name: "Example Inc.", url: "https://example.com/" }
+        }
+      ],
+      status: "unofficial",
+      repository: "https://github.com/w3c/bar",
+      testSuite: "https://wpt.fyi/results/bar",
+      license: "https://creativecommons.org/licenses/by/4.0/legalcode"
+    }
+  },
+
+  {
+    title: "returns an empty object when the spec has no metadata",
+    html: `<h1>Foo</h1><p>No header here.</p>`,
+    res: {}
+  }
+];
+
+
+describe("Metadata extraction", function () {
+
+  let browser;
+  let extractMetadataCode;
+  let validateSchema;
+
+  before(async () => {
+    validateSchema = await getSchemaValidationFunction('extract-metadata');
+    const bundle = await rollup({
+      input: path.resolve(scriptPath, '../src/browserlib/extract-metadata.mjs'),
+      onwarn: _ => {}
+    });
+    const output = (await bundle.generate({
+      name: 'extractMetadata',
+      format: 'iife'
+    })).output;
+    extractMetadataCode = output[0].code;
+
+    browser = await puppeteer.launch({ headless: true });
+  });
+
+  tests.forEach(t => {
+    it(t.title, async () => {
+      const page = await browser.newPage();
+      page.setContent(t.html);
+      await page.addScriptTag({ content: extractMetadataCode });
+
+      const extractedMetadata = await page.evaluate(async () => {
+        return extractMetadata();
+      });
+      await page.close();
+      assert.deepEqual(extractedMetadata, t.res);
+
+      const errors = validateSchema(extractedMetadata);
+      assert.strictEqual(errors, null, JSON.stringify(errors, null, 2));
+    });
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+});
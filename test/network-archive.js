@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import NetworkArchive from '../src/lib/network-archive.js';
+
+function fakeFetch(responses) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, options });
+    const res = responses[`${options?.method ?? 'GET'} ${url}`];
+    return new Response(res.body ?? null, { status: res.status ?? 200, headers: res.headers });
+  };
+  return { fetch, calls };
+}
+
+describe('NetworkArchive', () => {
+  it('rejects unknown modes', () => {
+    assert.throws(() => new NetworkArchive('rewind'), /Invalid network archive mode/);
+  });
+
+  it('records responses and serves them back from a saved archive', async () => {
+    const { fetch, calls } = fakeFetch({
+      'GET https://example.org/spec/': {
+        body: '<h1>Spec</h1>',
+        headers: { 'Content-Type': 'text/html' }
+      },
+      'POST https://example.org/xref/': {
+        body: '{"result":[]}',
+        headers: { 'Content-Type': 'application/json' }
+      },
+      'GET https://example.org/unchanged/': { status: 304 }
+    });
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'crawl.har.jsonl');
+    const recorder = await NetworkArchive.create(filename);
+    const page = await recorder.fetch('https://example.org/spec/', {}, fetch);
+    assert.strictEqual(await page.text(), '<h1>Spec</h1>');
+    await recorder.fetch('https://example.org/xref/',
+      { method: 'POST', body: '{"keys":[]}', headers: { 'content-type': 'application/json' } },
+      fetch);
+    await recorder.fetch('https://example.org/unchanged/', {}, fetch);
+    assert.strictEqual(calls.length, 3);
+
+    // Entries are written as soon as responses are received
+    const lines = fs.readFileSync(filename, 'utf8').split('\n').filter(line => line);
+    assert.deepStrictEqual(
+      lines.map(line => JSON.parse(line)).map(entry => `${entry.request.method} ${entry.request.url}`),
+      [
+        'GET https://example.org/spec/',
+        'POST https://example.org/xref/',
+        'GET https://example.org/unchanged/'
+      ]);
+    await recorder.close();
+
+    const replayer = await NetworkArchive.load(filename);
+    const replayed = await replayer.fetch('https://example.org/spec/', {}, fetch);
+    assert.strictEqual(replayed.status, 200);
+    assert.strictEqual(replayed.headers.get('content-type'), 'text/html');
+    assert.strictEqual(await replayed.text(), '<h1>Spec</h1>');
+    const xref = await replayer.fetch('https://example.org/xref/',
+      { method: 'POST', body: '{"keys":[]}' }, fetch);
+    assert.deepStrictEqual(await xref.json(), { result: [] });
+    const unchanged = await replayer.fetch('https://example.org/unchanged/', {}, fetch);
+    assert.strictEqual(unchanged.status, 304);
+    assert.strictEqual(calls.length, 3);
+  });
+
+  it('serves the last recorded response when a request was recorded twice', async () => {
+    let count = 0;
+    const fetch = async () => new Response(`response ${++count}`);
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'twice.har.jsonl');
+    const recorder = await NetworkArchive.create(filename);
+    await Promise.all([
+      recorder.fetch('https://example.org/spec/', {}, fetch),
+      recorder.fetch('https://example.org/spec/', {}, fetch)
+    ]);
+    await recorder.close();
+
+    const replayer = await NetworkArchive.load(filename);
+    const replayed = await replayer.fetch('https://example.org/spec/', {}, fetch);
+    assert.strictEqual(await replayed.text(), 'response 2');
+  });
+
+  it('fails requests that are not in the archive when replaying', async () => {
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'empty.har.jsonl');
+    await (await NetworkArchive.create(filename)).close();
+    const replayer = await NetworkArchive.load(filename);
+    await assert.rejects(
+      replayer.fetch('https://example.org/spec/', {}, fetch),
+      /No response recorded for GET https:\/\/example.org\/spec\//);
+    await assert.rejects(
+      replayer.fetch('https://example.org/xref/', { method: 'POST', body: 'other' }, fetch),
+      /No response recorded/);
+  });
+
+  it('rejects files that do not contain HAR entries', async () => {
+    const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-')), 'invalid.har.jsonl');
+    fs.writeFileSync(filename, '{}', 'utf8');
+    await assert.rejects(NetworkArchive.load(filename), /expected a HAR entry on line 1/);
+    await assert.rejects(NetworkArchive.load(filename + '.unknown'), /Could not load network archive/);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadProjectConfig, mergeCrawlOptions } from '../src/lib/project-config.js';
+
+function writeConfig(filename, contents) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+  const file = path.join(folder, filename);
+  fs.writeFileSync(file, typeof contents === 'string' ?
+    contents : JSON.stringify(contents));
+  return file;
+}
+
+describe('The project configuration loader', () => {
+  it('returns null when there is no project configuration file', async () => {
+    assert.strictEqual(await loadProjectConfig(), null);
+  });
+
+  it('loads settings from a JSON file', async () => {
+    const file = writeConfig('reffy.config.json', {
+      specs: ['fetch'],
+      modules: ['dfns', 'custom.mjs', { href: 'lib/other.mjs', property: 'other' }],
+      post: ['idlparsed', 'post/mine.js'],
+      output: 'reports',
+      maxParallel: 2
+    });
+    const folder = path.dirname(file);
+    const { filename, settings } = await loadProjectConfig(file);
+    assert.strictEqual(filename, file);
+    assert.deepStrictEqual(settings.specs, ['fetch']);
+    assert.strictEqual(settings.maxParallel, 2);
+    assert.strictEqual(path.resolve(settings.output), path.join(folder, 'reports'));
+    assert.strictEqual(path.resolve(settings.modules[1]), path.join(folder, 'custom.mjs'));
+    assert.strictEqual(path.resolve(settings.modules[2].href), path.join(folder, 'lib', 'other.mjs'));
+    assert.strictEqual(settings.modules[2].property, 'other');
+    assert.strictEqual(settings.modules[0], 'dfns');
+    assert.strictEqual(settings.post[0], 'idlparsed');
+    assert.strictEqual(path.resolve(settings.post[1]), path.join(folder, 'post', 'mine.js'));
+  });
+
+  it('expands settings as command-line options', async () => {
+    const file = writeConfig('reffy.config.json', {
+      specs: ['all', 'specs.json', 'local/spec.html', 'https://example.org/spec.html'],
+      modules: ['custom:lib/custom.mjs'],
+      post: ['core']
+    });
+    const folder = path.dirname(file);
+    fs.writeFileSync(path.join(folder, 'specs.json'), JSON.stringify(['fetch', 'dom']));
+    const { settings } = await loadProjectConfig(file);
+    assert(settings.specs.includes('html'));
+    assert.deepStrictEqual(settings.specs.slice(-4, -2), ['fetch', 'dom']);
+    assert.strictEqual(path.resolve(settings.specs.at(-2)), path.join(folder, 'local', 'spec.html'));
+    assert.strictEqual(settings.specs.at(-1), 'https://example.org/spec.html');
+    assert.strictEqual(settings.modules[0].property, 'custom');
+    assert.strictEqual(path.resolve(settings.modules[0].href), path.join(folder, 'lib', 'custom.mjs'));
+    assert(settings.post.includes('idlparsed'));
+    assert(!settings.post.includes('core'));
+
+    await assert.rejects(
+      loadProjectConfig(writeConfig('reffy.config.json', { specs: ['unknown.json'] })),
+      /Could not load list of specs from/);
+  });
+
+  it('loads settings from an ESM file', async () => {
+    const file = writeConfig('reffy.config.mjs',
+      `export default async () => ({ specs: ['dom'], quiet: true });`);
+    const { settings } = await loadProjectConfig(file);
+    assert.deepStrictEqual(settings, { specs: ['dom'], quiet: true });
+  });
+
+  it('rejects invalid settings', async () => {
+    const file = writeConfig('reffy.config.json', { maxParallel: 0, unknown: true });
+    await assert.rejects(loadProjectConfig(file),
+      /Invalid project configuration file .*reffy\.config\.json: .*maxParallel/);
+    await assert.rejects(loadProjectConfig(writeConfig('reffy.config.json', '{ oops')),
+      /Could not load project configuration file/);
+  });
+});
+
+describe('mergeCrawlOptions', () => {
+  it('gives precedence to defined crawl options', () => {
+    const merged = mergeCrawlOptions(
+      { specs: ['fetch'], output: 'reports', retry: { count: 2, delay: 500 } },
+      { specs: ['dom'], output: undefined, retry: { count: 3 }, quiet: true });
+    assert.deepStrictEqual(merged, {
+      specs: ['dom'],
+      output: 'reports',
+      retry: { count: 3, delay: 500 },
+      quiet: true
+    });
+  });
+
+  it('returns crawl options when there are no settings', () => {
+    assert.deepStrictEqual(mergeCrawlOptions(null, { quiet: true }), { quiet: true });
+  });
+});
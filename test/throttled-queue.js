@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import ThrottledQueue, { defaultOriginAliases, getOrigin, mergeOriginAliases } from '../src/lib/throttled-queue.js';
+
+describe('getOrigin', () => {
+  it('groups origins according to default aliasing rules', () => {
+    assert.strictEqual(getOrigin('https://html.spec.whatwg.org/multipage/'), 'https://whatwg.org');
+    assert.strictEqual(getOrigin('https://w3c.github.io/spec/'), 'https://github.io');
+    assert.strictEqual(getOrigin('https://drafts.fxtf.org/spec/'), 'https://csswg.org');
+    assert.strictEqual(getOrigin('https://www.w3.org/TR/spec/'), 'https://www.w3.org');
+  });
+
+  it('applies custom aliasing rules', () => {
+    const aliases = { 'https://mirror': ['*.mirror.example.org', 'example.net'] };
+    assert.strictEqual(getOrigin('https://a.mirror.example.org/', aliases), 'https://mirror');
+    assert.strictEqual(getOrigin('http://example.net:8080/spec/', aliases), 'https://mirror');
+    assert.strictEqual(getOrigin('https://mirror.example.org/', aliases), 'https://mirror.example.org');
+  });
+
+  it('gives precedence to custom aliasing rules over default ones', () => {
+    const aliases = mergeOriginAliases(
+      { 'https://staging': ['staging.github.io', 'foo.whatwg.org'] },
+      defaultOriginAliases);
+    assert.strictEqual(getOrigin('https://staging.github.io/spec/', aliases), 'https://staging');
+    assert.strictEqual(getOrigin('https://foo.whatwg.org/', aliases), 'https://staging');
+    assert.strictEqual(getOrigin('https://w3c.github.io/spec/', aliases), 'https://github.io');
+  });
+
+  it('takes the rule of an origin from the first set that defines it', () => {
+    const aliases = mergeOriginAliases(
+      { 'https://github.io': ['w3c.github.io'] },
+      defaultOriginAliases);
+    assert.deepStrictEqual(aliases['https://github.io'], ['w3c.github.io']);
+    assert.deepStrictEqual(aliases['https://whatwg.org'], ['*.whatwg.org']);
+  });
+
+  it('returns an empty string when there is no URL', () => {
+    assert.strictEqual(getOrigin(null), '');
+  });
+});
+
+describe('ThrottledQueue', () => {
+  it('runs tasks on the same origin one after the other', async () => {
+    const queue = new ThrottledQueue({
+      maxParallel: 4,
+      sleepInterval: _ => 0,
+      originAliases: { 'https://example.org': ['*.example.org'] }
+    });
+    let running = 0;
+    let maxRunning = 0;
+    async function task() {
+      running += 1;
+      maxRunning = Math.max(running, maxRunning);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running -= 1;
+    }
+    await Promise.all([
+      queue.runThrottledPerOrigin('https://a.example.org/', task),
+      queue.runThrottledPerOrigin('https://b.example.org/', task)
+    ]);
+    assert.strictEqual(maxRunning, 1);
+  });
+
+  it('stops running tasks when the signal gets aborted', async () => {
+    const controller = new AbortController();
+    const queue = new ThrottledQueue({
+      maxParallel: 1,
+      sleepInterval: _ => 0,
+      signal: controller.signal
+    });
+    const started = [];
+    async function task(name) {
+      started.push(name);
+      controller.abort();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return name;
+    }
+    const results = await Promise.allSettled([
+      queue.runThrottledPerOrigin('https://example.org/', task, 'first'),
+      queue.runThrottledPerOrigin('https://example.net/', task, 'second'),
+      queue.runThrottledPerOrigin('https://example.org/', task, 'third')
+    ]);
+    assert.deepStrictEqual(started, ['first']);
+    assert.deepStrictEqual(results.map(res => res.status),
+      ['fulfilled', 'rejected', 'rejected']);
+    assert.strictEqual(results[1].reason.name, 'AbortError');
+    assert.strictEqual(queue.ongoing, 0);
+  });
+});
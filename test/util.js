@@ -1,7 +1,11 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import {
+  countErrorsByCode,
+  createCrawlError,
+  getBrowserPoolSettings,
   getGeneratedIDLNamesByCSSProperty,
+  getSchemaValidationFunction,
   isLatestLevelThatPasses
 } from '../src/lib/util.js';
 import specs from 'web-specs' with { type: 'json' };
@@ -129,3 +133,113 @@ describe('getGeneratedIDLNamesByCSSProperty', () => {
       ['display']);
   });
 });
+
+
+describe('countErrorsByCode', () => {
+  it('counts errors per code', () => {
+    assert.deepEqual(
+      countErrorsByCode([
+        { url: 'https://example.org/1' },
+        { url: 'https://example.org/2', error: { code: 'http-error' } },
+        { url: 'https://example.org/3', error: { code: 'module-error' } },
+        { url: 'https://example.org/4', error: { code: 'http-error' } }
+      ]),
+      { 'http-error': 2, 'module-error': 1 });
+  });
+
+  it('counts string errors as unknown errors', () => {
+    assert.deepEqual(
+      countErrorsByCode([{ url: 'https://example.org/', error: 'Oops' }]),
+      { 'unknown-error': 1 });
+  });
+});
+
+
+describe('createCrawlError', () => {
+  it('sets the code and additional properties', () => {
+    const cause = new Error('ECONNRESET');
+    const err = createCrawlError('network-error', 'Loading failed',
+      { url: 'https://example.org/', cause });
+    assert.equal(err.message, 'Loading failed');
+    assert.equal(err.code, 'network-error');
+    assert.equal(err.url, 'https://example.org/');
+    assert.equal(err.cause, cause);
+  });
+});
+
+
+describe('The index.json schema', () => {
+  const index = {
+    type: 'crawl',
+    title: 'Reffy crawl',
+    date: '2024-01-01T00:00:00.000Z',
+    crawler: 'reffy-test',
+    stats: { crawled: 1, errors: 1, errorsByCode: { 'http-error': 1 } },
+    results: [{
+      url: 'https://example.org/',
+      error: {
+        code: 'http-error',
+        message: 'Loading https://example.org/ triggered HTTP status 503',
+        status: 503,
+        url: 'https://example.org/',
+        retryable: true,
+        fallback: true
+      },
+      attempts: [{
+        code: 'http-error',
+        message: 'Loading https://example.org/ triggered HTTP status 503',
+        status: 503,
+        retryable: true,
+        retryDelay: 1000
+      }]
+    }]
+  };
+
+  it('accepts structured errors', async () => {
+    const validate = await getSchemaValidationFunction('index.json');
+    const errors = validate(index);
+    assert.strictEqual(errors, null);
+  });
+
+  it('accepts errors recorded as strings', async () => {
+    const validate = await getSchemaValidationFunction('index.json');
+    const legacy = structuredClone(index);
+    legacy.results[0].error = 'Loading https://example.org/ triggered HTTP status 503';
+    assert.strictEqual(validate(legacy), null);
+  });
+
+  it('rejects unknown error codes', async () => {
+    const validate = await getSchemaValidationFunction('index.json');
+    const invalid = structuredClone(index);
+    invalid.results[0].error.code = 'oops';
+    assert.notStrictEqual(validate(invalid), null);
+  });
+});
+
+
+describe('getBrowserPoolSettings', () => {
+  it('returns default settings', () => {
+    assert.deepEqual(getBrowserPoolSettings(), {
+      size: 1,
+      isolation: 'context',
+      maxSpecs: 0,
+      maxMemory: 0
+    });
+  });
+
+  it('merges given settings with default ones', () => {
+    assert.deepEqual(getBrowserPoolSettings({ size: 4, isolation: 'process', maxSpecs: 10 }), {
+      size: 4,
+      isolation: 'process',
+      maxSpecs: 10,
+      maxMemory: 0
+    });
+  });
+
+  it('rejects invalid settings', () => {
+    assert.throws(() => getBrowserPoolSettings({ size: 0 }), /Invalid browser pool size/);
+    assert.throws(() => getBrowserPoolSettings({ isolation: 'tab' }), /Invalid browser isolation mode/);
+    assert.throws(() => getBrowserPoolSettings({ maxSpecs: -1 }), /Invalid number of specs before recycling/);
+    assert.throws(() => getBrowserPoolSettings({ maxMemory: 'lots' }), /Invalid browser memory threshold/);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import {
+  compareSpecCrawls,
+  formatWatchReport,
+  getLocalIncludes
+} from '../src/cli/watch-spec.js';
+
+const reffyPath = fileURLToPath(new URL('../reffy.js', import.meta.url));
+
+function getSpec({ dfns = [], warnings = [] } = {}) {
+  return {
+    url: 'file:///spec/index.html',
+    shortname: 'index',
+    dfns: dfns.map(name => ({
+      id: name,
+      href: `file:///spec/index.html#${name}`,
+      linkingText: [name],
+      localLinkingText: [],
+      type: 'property',
+      for: [],
+      access: 'public',
+      informative: false,
+      heading: {},
+      definedIn: 'dt'
+    })),
+    css: { properties: [], atrules: [], selectors: [], values: [], warnings }
+  };
+}
+
+describe('The spec watcher', () => {
+  it('finds local includes, recursively', async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reffy-'));
+    fs.writeFileSync(path.join(folder, 'index.html'), `
+      <script src="https://www.w3.org/Tools/respec/respec-w3c" class="remove"></script>
+      <script src="config.js"></script>
+      <section data-include="sections/intro.html"></section>`);
+    fs.mkdirSync(path.join(folder, 'sections'));
+    fs.writeFileSync(path.join(folder, 'sections', 'intro.html'), `
+      <section data-include='details.html?raw'></section>`);
+    const includes = await getLocalIncludes(path.join(folder, 'index.html'));
+    assert.deepEqual(includes.sort(), [
+      path.join(folder, 'config.js'),
+      path.join(folder, 'sections', 'details.html'),
+      path.join(folder, 'sections', 'intro.html')
+    ]);
+  });
+
+  it('reports changes and new missing definitions', async () => {
+    const previous = getSpec({
+      dfns: ['color', 'margin'],
+      warnings: [{ msg: 'Missing definition', name: 'padding', type: 'property' }]
+    });
+    const current = getSpec({
+      dfns: ['color', 'border'],
+      warnings: [
+        { msg: 'Missing definition', name: 'padding', type: 'property' },
+        { msg: 'Missing definition', name: 'margin', type: 'property' }
+      ]
+    });
+    const report = await compareSpecCrawls(previous, current);
+    assert.deepEqual(Object.keys(report.changes), ['dfns']);
+    assert.deepEqual(report.changes.dfns.added.map(item => item.name), ['border']);
+    assert.deepEqual(report.changes.dfns.removed.map(item => item.name), ['margin']);
+    assert.deepEqual(report.anomalies.css.map(missing => missing.expected.linkingText[0]), ['margin']);
+    assert.deepEqual(report.anomalies.idl, []);
+
+    assert.strictEqual(formatWatchReport(report), [
+      'dfns: +1 -1 ~0',
+      '  + border (property)',
+      '  - margin (property)',
+      'New missing definitions:',
+      '  ! margin (property)'
+    ].join('\n'));
+    assert.strictEqual(formatWatchReport(report, { summary: true }), [
+      'dfns: +1 -1 ~0',
+      'New missing definitions:',
+      '  ! margin (property)'
+    ].join('\n'));
+  });
+
+  it('reports when nothing changed', async () => {
+    const spec = getSpec({ dfns: ['color'] });
+    const report = await compareSpecCrawls(spec, spec);
+    assert.strictEqual(formatWatchReport(report),
+      'No change in dfns, IDL or CSS, no new missing definition');
+  });
+
+  it('passes options to the watcher from the command line', async () => {
+    // An unknown module makes the watcher fail before any crawl starts,
+    // which shows that the option reached the watcher
+    const run = promisify(execFile);
+    await assert.rejects(
+      run(process.execPath, [reffyPath, 'watch', 'index.html', '-m', 'unknown'], { timeout: 30000 }),
+      err => err.code === 1 && err.stderr.includes('Unknown browserlib module unknown'));
+  });
+});